@@ -1,18 +1,42 @@
 #!/usr/bin/env node
 /**
  * Lightweight TASKS.md kanban board with live updates.
- * Usage: node taskboard.js [port]
+ * Usage: node taskboard.js [port] [task files or globs...]
+ *        node taskboard.js <list|show|add|move|edit|delete|next> [options]
  */
 const http = require('http');
 const fs = require('fs');
 const path = require('path');
 const url = require('url');
-const { spawn } = require('child_process');
+const { spawn, execFile } = require('child_process');
+const { StringDecoder } = require('string_decoder');
+const crypto = require('crypto');
 
 const PORT = Number(process.argv[2]) || 4000;
-const TASKS_PATH = path.join(__dirname, 'TASKS.md');
+const DEFAULT_TASKS_FILE = 'TASKS.md';
 const CONFIG_PATH = path.join(__dirname, 'taskboard.config.json');
-const DEFAULT_CONFIG = { autorunEnabled: false, claudeBin: 'claude', logPath: 'claude-runs.log' };
+const DEFAULT_CONFIG = {
+  autorunEnabled: false,
+  claudeBin: 'claude',
+  logPath: 'claude-runs.log',
+  runLogDir: 'claude-runs',
+  failureStatus: 'Blocked',
+  maxConcurrentRuns: 1,
+  blockOnDependencies: true,
+  autorunDependents: false,
+  requireRevision: false,
+  historyPath: 'taskboard.history.jsonl',
+  rules: [],
+  commandAllowlist: ['claude'],
+  allowedHosts: [],
+  maxBodyBytes: 1048576,
+  boards: [],
+  archiveAfterDays: 0,
+  undoLimit: 50,
+  taskBranches: 'off',
+  worktreeDir: '',
+  autoCommit: false,
+};
 
 function parseCmd(value) {
   const parts = String(value || '').trim().match(/[^\s"']+|"([^"]*)"|'([^']*)'/g) || [];
@@ -42,294 +66,3109 @@ function resolveLogPath(cfg) {
   return path.isAbsolute(target) ? target : path.join(__dirname, target);
 }
 
+function resolveRunLogDir(cfg) {
+  const target = cfg.runLogDir || DEFAULT_CONFIG.runLogDir;
+  return path.isAbsolute(target) ? target : path.join(__dirname, target);
+}
+
 // --- Parsing helpers -------------------------------------------------------
+const FIELD_NAME = /^[A-Za-z][\w-]*$/;
+const FIELD_LINE = /^\s*([A-Za-z][\w-]*):\s*(\S.*)$/;
+const FIELD_TYPES = ['text', 'list', 'date', 'number'];
+const DEPENDS_FIELD = 'Depends';
+const CHECKBOX_LINE = /^(\s*[-*]\s+)\[([ xX])\](\s+.*)$/;
+const DEFAULT_ROLES = { backlog: 'backlog', 'to do': 'ready', done: 'done' };
+const DEFAULT_SEVERITY_COLORS = { critical: '#ef4444', high: '#f59e0b', medium: '#3b82f6', low: '#10b981' };
+
 function parseFrontMatter(text) {
-  const fmMatch = text.match(/^---\n([\s\S]*?)\n---/);
+  const fmMatch = text.replace(/\r\n/g, '\n').match(/^---\n([\s\S]*?)\n---/);
   if (!fmMatch) return {};
   const fm = fmMatch[1];
   const statusesLine = fm.match(/statuses:\s*(.*)/i);
   const severitiesLine = fm.match(/severities:\s*(.*)/i);
-  const statuses = statusesLine ? statusesLine[1].split(',').map((s) => s.trim()).filter(Boolean) : [];
-  const severities = severitiesLine ? severitiesLine[1].split(',').map((s) => s.trim()).filter(Boolean) : [];
-  return { statuses, severities };
+  const fieldsLine = fm.match(/^fields:\s*(.*)/im);
+  const statusItems = statusesLine ? parsePolicyList(statusesLine[1]) : [];
+  const severityItems = severitiesLine ? parsePolicyList(severitiesLine[1]) : [];
+  const fields = fieldsLine ? parseFieldDeclarations(fieldsLine[1]) : [];
+  return {
+    statuses: statusItems.map((s) => s.name),
+    severities: severityItems.map((s) => s.name),
+    statusPolicies: statusPolicies(statusItems),
+    severityPolicies: severityPolicies(severityItems),
+    fields,
+  };
+}
+
+// `To Do (role: ready, wip: 3), Done` -> [{ name, attrs }]; commas inside the
+// parentheses don't split the list.
+function parsePolicyList(value) {
+  const items = [];
+  let depth = 0;
+  let current = '';
+  for (const ch of `${value},`) {
+    if (ch === '(') depth += 1;
+    if (ch === ')') depth = Math.max(0, depth - 1);
+    if (ch === ',' && depth === 0) {
+      const m = current.trim().match(/^([^(]*?)\s*(?:\((.*)\))?$/);
+      if (m && m[1]) {
+        const attrs = {};
+        for (const pair of (m[2] || '').split(',')) {
+          const [k, ...rest] = pair.split(':');
+          if (k.trim()) attrs[k.trim().toLowerCase()] = rest.join(':').trim();
+        }
+        items.push({ name: m[1], attrs });
+      }
+      current = '';
+    } else {
+      current += ch;
+    }
+  }
+  return items;
+}
+
+// Roles not given explicitly fall back to the conventional column names,
+// unless another column has claimed that role.
+function statusPolicies(items) {
+  const claimed = new Set(items.map((s) => s.attrs.role).filter(Boolean));
+  const policies = {};
+  for (const { name, attrs } of items) {
+    const fallback = DEFAULT_ROLES[normalizeStatus(name)];
+    const wip = Math.floor(Number(attrs.wip));
+    policies[name] = {
+      role: attrs.role ? attrs.role.toLowerCase() : (fallback && !claimed.has(fallback) ? fallback : null),
+      wip: wip >= 1 ? wip : null,
+      color: attrs.color || null,
+    };
+  }
+  return policies;
+}
+
+function severityPolicies(items) {
+  const policies = {};
+  items.forEach(({ name, attrs }, idx) => {
+    const rank = Number(attrs.rank);
+    policies[name] = {
+      rank: Number.isFinite(rank) ? rank : idx + 1,
+      color: attrs.color || DEFAULT_SEVERITY_COLORS[name.toLowerCase()] || null,
+    };
+  });
+  return policies;
+}
+
+// `fields: Tags:list, Due:date, Estimate:number, Assignee` -> [{ name, type }]
+function parseFieldDeclarations(value) {
+  return value.split(',').map((s) => s.trim()).filter(Boolean).map((decl) => {
+    const [name, type] = decl.split(':').map((p) => p.trim());
+    const normalized = String(type || 'text').toLowerCase();
+    return { name, type: FIELD_TYPES.includes(normalized) ? normalized : 'text' };
+  }).filter((f) => FIELD_NAME.test(f.name) && !isCoreField(f.name));
+}
+
+function isCoreField(name) {
+  const key = String(name).toLowerCase();
+  return key === 'severity' || key === 'status';
+}
+
+function canonicalFieldName(name, meta) {
+  if (String(name).toLowerCase() === DEPENDS_FIELD.toLowerCase()) return DEPENDS_FIELD;
+  const decl = ((meta && meta.fields) || []).find((f) => f.name.toLowerCase() === String(name).toLowerCase());
+  return decl ? decl.name : name;
+}
+
+function splitList(value) {
+  const items = Array.isArray(value) ? value : String(value).split(',');
+  return items.map((s) => String(s).trim()).filter(Boolean);
+}
+
+// Validates field values coming in over HTTP against their declared types.
+// Returns the values as they will be written; null marks a field for removal.
+function normalizeFields(input, meta) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) throw new Error('fields must be an object');
+  const out = {};
+  for (const [rawName, rawValue] of Object.entries(input)) {
+    const name = canonicalFieldName(String(rawName).trim(), meta);
+    if (!FIELD_NAME.test(name)) throw new Error(`Invalid field name: ${rawName}`);
+    if (isCoreField(name)) throw new Error(`${name} is not a custom field`);
+    if (rawValue === null || rawValue === undefined || (!Array.isArray(rawValue) && String(rawValue).trim() === '')) {
+      out[name] = null;
+      continue;
+    }
+    const decl = (meta.fields || []).find((f) => f.name === name);
+    const type = decl ? decl.type : 'text';
+    let value;
+    if (name === DEPENDS_FIELD) {
+      const items = splitList(rawValue).map((v) => v.replace(/^#/, ''));
+      if (items.some((v) => !/^\d+$/.test(v))) throw new Error(`${name} must be a list of task ids`);
+      value = [...new Set(items.map(Number))].join(', ');
+      if (!value) {
+        out[name] = null;
+        continue;
+      }
+    } else if (type === 'list') {
+      value = splitList(rawValue).join(', ');
+      if (!value) {
+        out[name] = null;
+        continue;
+      }
+    } else {
+      value = String(rawValue).trim();
+    }
+    if (/[\r\n]/.test(value)) throw new Error(`${name} must be a single line`);
+    if (type === 'number' && !Number.isFinite(Number(value))) throw new Error(`${name} must be a number`);
+    if (type === 'date') {
+      const d = new Date(`${value}T00:00:00Z`);
+      if (!/^\d{4}-\d{2}-\d{2}$/.test(value) || Number.isNaN(d.getTime()) || d.toISOString().slice(0, 10) !== value) {
+        throw new Error(`${name} must be a date (YYYY-MM-DD)`);
+      }
+    }
+    out[name] = value;
+  }
+  return out;
+}
+
+function fieldValue(fields, name) {
+  const key = Object.keys(fields || {}).find((k) => k.toLowerCase() === name.toLowerCase());
+  return key ? fields[key] : '';
+}
+
+function parseDependencyIds(value) {
+  return [...new Set((String(value || '').match(/\d+/g) || []).map(Number))];
+}
+
+function mergeFields(current, changes) {
+  const merged = { ...current };
+  for (const [name, value] of Object.entries(changes)) {
+    if (value === null) delete merged[name];
+    else merged[name] = value;
+  }
+  return merged;
+}
+
+// --- Document model --------------------------------------------------------
+// TASKS.md is kept as its original lines plus the location of every task
+// block, so an edit splices only the lines it changes and everything else
+// (spacing, comments, text between blocks, CRLF) survives byte-for-byte.
+function parseDocument(text, meta = parseFrontMatter(text)) {
+  const eol = /\r\n/.test(text) ? '\r\n' : '\n';
+  const lines = text.split(/\r?\n/);
+  let bodyStart = 0;
+  if (lines[0] === '---') {
+    const close = lines.indexOf('---', 1);
+    if (close !== -1) bodyStart = close + 1;
+  }
+  // Blocks are separated by `---` lines, except inside fenced code.
+  const segments = [];
+  let fence = null;
+  let segStart = bodyStart;
+  for (let i = bodyStart; i < lines.length; i += 1) {
+    const fenceMatch = lines[i].match(/^\s*(`{3,}|~{3,})/);
+    if (fenceMatch) {
+      const mark = fenceMatch[1][0];
+      if (!fence) fence = mark;
+      else if (fence === mark) fence = null;
+      continue;
+    }
+    if (!fence && /^---\s*$/.test(lines[i])) {
+      segments.push({ start: segStart, end: i, sep: i });
+      segStart = i + 1;
+    }
+  }
+  segments.push({ start: segStart, end: lines.length, sep: -1 });
+  const entries = [];
+  for (const seg of segments) {
+    const entry = parseBlock(lines, seg, meta);
+    if (entry) entries.push(entry);
+  }
+  return { eol, lines, bodyStart, segments, entries, tasks: entries.map((e) => e.task) };
+}
+
+function parseBlock(lines, seg, meta) {
+  let titleIndex = seg.start;
+  while (titleIndex < seg.end && !lines[titleIndex].trim()) titleIndex += 1;
+  if (titleIndex === seg.end) return null;
+  const m = lines[titleIndex].trim().match(/^(\d+)\.\s+(.*)$/);
+  if (!m) return null;
+  let contentEnd = seg.end;
+  while (contentEnd > titleIndex + 1 && !lines[contentEnd - 1].trim()) contentEnd -= 1;
+
+  // Header: the `Key: value` lines between the title and the first blank line
+  // (one right after the title is allowed). Without a Severity, Status or
+  // declared field among them, the run only counts when it sits right under
+  // the title and ends at a blank line; otherwise a description that starts
+  // with `Note: ...` would lose that line.
+  const header = [];
+  let i = titleIndex + 1;
+  while (i < contentEnd && !lines[i].trim()) i += 1;
+  const gap = i > titleIndex + 1;
+  for (; i < contentEnd && lines[i].trim(); i += 1) {
+    const fm = lines[i].match(FIELD_LINE);
+    if (!fm) break;
+    header.push({ index: i, key: fm[1], value: fm[2] });
+  }
+  const declared = (key) => isCoreField(key) || key.toLowerCase() === DEPENDS_FIELD.toLowerCase()
+    || ((meta && meta.fields) || []).some((f) => f.name.toLowerCase() === key.toLowerCase());
+  const ended = i === contentEnd || !lines[i].trim();
+  if (!header.some((h) => declared(h.key)) && (gap || !ended)) header.length = 0;
+  const headerEnd = header.length ? header[header.length - 1].index + 1 : titleIndex + 1;
+  const restStart = header.length ? i : titleIndex + 1;
+
+  // Older files may carry Severity/Status further down; they still count, and
+  // so do the field lines right below them.
+  const legacy = [];
+  const descLines = [];
+  for (let j = restStart; j < contentEnd; j += 1) {
+    const lm = lines[j].match(/^\s*(severity|status):\s*(.*)$/i)
+      || (legacy.length && legacy[legacy.length - 1].index === j - 1 && lines[j].match(FIELD_LINE));
+    if (lm) legacy.push({ index: j, key: lm[1], value: lm[2] });
+    else if (lines[j].trim() || descLines.length) descLines.push(j);
+  }
+  while (descLines.length && !lines[descLines[descLines.length - 1]].trim()) descLines.pop();
+  const descStart = descLines.length ? descLines[0] : headerEnd;
+  const descEnd = descLines.length ? descLines[descLines.length - 1] + 1 : headerEnd;
+  const indentOf = (l) => l.match(/^\s*/)[0];
+  const minIndent = descLines
+    .filter((j) => lines[j].trim())
+    .reduce((min, j) => Math.min(min, indentOf(lines[j]).length), Infinity);
+  const descIndent = descLines.length ? indentOf(lines[descLines[0]]).slice(0, minIndent) : null;
+  const desc = descLines.map((j) => lines[j].slice(Math.min(minIndent, indentOf(lines[j]).length))).join('\n');
+
+  const fields = {};
+  let severity = null;
+  let status = null;
+  for (const h of [...header, ...legacy]) {
+    const key = h.key.toLowerCase();
+    if (key === 'severity') {
+      if (severity === null) severity = h.value.split('|')[0].trim();
+    } else if (key === 'status') {
+      if (status === null) status = h.value.split('|')[0].trim();
+    } else {
+      fields[canonicalFieldName(h.key, meta)] = h.value.trim();
+    }
+  }
+  const id = Number(m[1]);
+  const full = lines.slice(titleIndex, contentEnd).join('\n');
+  const task = {
+    id,
+    title: m[2].trim(),
+    severity: severity || 'UNKNOWN',
+    status: status || 'To Do',
+    fields,
+    depends: parseDependencyIds(fieldValue(fields, DEPENDS_FIELD)),
+    subtasks: parseSubtasks(desc),
+    desc,
+    raw: full,
+    full,
+  };
+  return { task, seg, titleIndex, contentEnd, header, headerEnd, legacy, descStart, descEnd, descIndent };
+}
+
+function parseTasks(text, meta = parseFrontMatter(text)) {
+  return parseDocument(text, meta).tasks;
+}
+
+// `- [ ] item` / `- [x] item` lines in a description, numbered in order.
+function parseSubtasks(desc) {
+  const subtasks = [];
+  for (const line of String(desc || '').split('\n')) {
+    const m = line.match(CHECKBOX_LINE);
+    if (m) subtasks.push({ index: subtasks.length, text: m[3].trim(), done: m[2].toLowerCase() === 'x' });
+  }
+  return subtasks;
+}
+
+// Rewrites the value of a `Key: value` line, keeping the key's spelling and
+// spacing and, for Severity/Status, a trailing `| comment`.
+function replaceFieldValue(line, value, keepComment) {
+  const m = line.match(/^(\s*[A-Za-z][\w-]*:\s*)(.*)$/);
+  const comment = keepComment ? (m[2].match(/\s*\|.*$/) || [''])[0] : '';
+  return `${m[1]}${value}${comment}`;
+}
+
+function indentLines(text, indent) {
+  return String(text).split(/\r?\n/).map((l) => (l.trim() ? indent + l : ''));
+}
+
+// Splices edits ({ start, remove, insert, order }) into a copy of lines.
+// Edits are applied bottom-up so earlier indices stay valid; at the same
+// index a lower `order` lands later in the file.
+function applyEdits(lines, edits) {
+  const next = lines.slice();
+  const sorted = edits.slice().sort((a, b) => b.start - a.start || (a.order || 0) - (b.order || 0));
+  for (const e of sorted) next.splice(e.start, e.remove || 0, ...(e.insert || []));
+  return next;
 }
 
-function extractFrontMatter(text) {
-  const fmMatch = text.match(/^---\n[\s\S]*?\n---\n?/);
-  return fmMatch ? fmMatch[0] : '';
+// Lines of a block that change when `updated` replaces `entry.task`.
+function blockEdits(entry, lines, updated) {
+  const old = entry.task;
+  const edits = [];
+  const fieldLines = entry.header.length ? entry.header : entry.legacy;
+  const headerIndent = fieldLines.length ? lines[fieldLines[0].index].match(/^\s*/)[0] : '    ';
+
+  let wipeFrom = Infinity;
+  let wipeTo = -1;
+  if (updated.desc !== old.desc) {
+    const desc = String(updated.desc || '').replace(/\r\n/g, '\n').replace(/^\s*\n|\s+$/g, '');
+    const indent = entry.descIndent !== null ? entry.descIndent : headerIndent;
+    const hadDesc = entry.descEnd > entry.descStart;
+    if (hadDesc && desc) {
+      // Old layouts can have Severity/Status right below the description; a
+      // blank line keeps a first line like `Note: ...` from joining them.
+      const next = entry.descEnd < entry.contentEnd && lines[entry.descEnd].trim();
+      const gap = next && FIELD_LINE.test(desc.split('\n')[0]) ? [''] : [];
+      edits.push({ start: entry.descStart, remove: entry.descEnd - entry.descStart, insert: [...indentLines(desc, indent), ...gap] });
+      [wipeFrom, wipeTo] = [entry.descStart, entry.descEnd];
+    } else if (hadDesc) {
+      edits.push({ start: entry.headerEnd, remove: entry.descEnd - entry.headerEnd, order: -1 });
+      [wipeFrom, wipeTo] = [entry.headerEnd, entry.descEnd];
+    } else if (desc) {
+      edits.push({ start: entry.headerEnd, insert: ['', ...indentLines(desc, indent)], order: -1 });
+    }
+  }
+
+  const wanted = { severity: updated.severity, status: updated.status };
+  const present = new Set();
+  for (const h of [...entry.header, ...entry.legacy]) {
+    if (h.index >= wipeFrom && h.index < wipeTo) continue;
+    const key = h.key.toLowerCase();
+    if (key === 'severity' || key === 'status') {
+      if (present.has(key)) continue;
+      present.add(key);
+      if (wanted[key] !== old[key]) {
+        edits.push({ start: h.index, remove: 1, insert: [replaceFieldValue(lines[h.index], wanted[key], true)] });
+      }
+      continue;
+    }
+    const match = Object.keys(updated.fields || {}).find((k) => k.toLowerCase() === h.key.toLowerCase());
+    if (!match) {
+      edits.push({ start: h.index, remove: 1 });
+    } else {
+      present.add(match.toLowerCase());
+      if (updated.fields[match] !== h.value.trim()) {
+        edits.push({ start: h.index, remove: 1, insert: [replaceFieldValue(lines[h.index], updated.fields[match], false)] });
+      }
+    }
+  }
+  const added = [];
+  if (!present.has('severity') && (wanted.severity !== old.severity || entry.legacy.some((l) => /severity/i.test(l.key)))) {
+    added.push(`${headerIndent}Severity: ${wanted.severity}`);
+  }
+  if (!present.has('status') && (wanted.status !== old.status || entry.legacy.some((l) => /status/i.test(l.key)))) {
+    added.push(`${headerIndent}Status: ${wanted.status}`);
+  }
+  for (const [k, v] of Object.entries(updated.fields || {})) {
+    if (!present.has(k.toLowerCase())) added.push(`${headerIndent}${k}: ${v}`);
+  }
+  // Without a header the new lines go below the old layout's Severity/Status
+  // lines, where they are read back as fields.
+  const anchor = entry.header.length ? null : entry.legacy.filter((h) => h.index < wipeFrom || h.index >= wipeTo).pop();
+  if (added.length && anchor) {
+    edits.push({ start: anchor.index + 1, insert: added, order: 0 });
+  } else if (added.length) {
+    edits.push({ start: entry.headerEnd, insert: entry.header.length ? added : ['', ...added], order: 0 });
+  }
+
+  if (updated.title !== old.title) {
+    const leading = lines[entry.titleIndex].match(/^\s*/)[0];
+    edits.push({ start: entry.titleIndex, remove: 1, insert: [`${leading}${old.id}. ${updated.title}`] });
+  }
+  return edits;
 }
 
-function serializeTasks(frontMatter, tasks) {
+function newBlockLines(task) {
   const ind = '    ';
-  const blocks = tasks.map((t) => [
-    `${t.id}. ${t.title}`,
-    '',
-    `${ind}Severity: ${t.severity}`,
-    `${ind}Status: ${t.status}`,
-    '',
-    t.desc ? t.desc.split('\n').map((l) => ind + l.trimStart()).join('\n') : '',
+  return [
+    `${task.id}. ${task.title}`,
     '',
-  ].join('\n'));
-  const body = blocks.join('---\n');
-  const fm = frontMatter || '';
-  const prefix = fm ? (fm.endsWith('\n') ? fm : `${fm}\n`) : '';
-  const content = `${prefix}${body}`;
-  return content.endsWith('\n') ? content : `${content}\n`;
-}
-
-function parseTasks(text) {
-  const blocks = [];
-  const body = text.replace(/^---\n[\s\S]*?\n---\n?/, '');
-  const parts = body.split(/\n---\n/);
-  for (const part of parts) {
-    const trimmed = part.trim();
-    if (!trimmed) continue;
-    const lines = trimmed.split('\n');
-    const first = lines[0];
-    const m = first.match(/^(\d+)\.\s+(.*)$/);
-    if (!m) continue;
-    const id = Number(m[1]);
-    const title = m[2].trim();
-    const severityLine = lines.find((l) => l.trim().toLowerCase().startsWith('severity:')) || '';
-    const statusLine = lines.find((l) => l.trim().toLowerCase().startsWith('status:')) || '';
-    const severity = (severityLine.split(':')[1] || 'UNKNOWN').split('|')[0].trim();
-    const status = (statusLine.split(':')[1] || 'To Do').split('|')[0].trim();
-    const desc = lines
-      .filter((l, idx) => idx > 0 && !l.trim().toLowerCase().startsWith('severity:') && !l.trim().toLowerCase().startsWith('status:'))
-      .join('\n')
-      .trim();
-    const full = trimmed;
-    blocks.push({ id, title, severity, status, desc, raw: full, full });
-  }
-  return blocks;
-}
-
-function rebuildContent(original, tasks) {
-  const pieces = [];
-  let cursor = 0;
-  const byId = new Map(tasks.map((t) => [t.id, t]));
-  const regex = /^(\d+)\.\s+(.*?)\n([\s\S]*?)(?=\n---|\n$)/gm;
-  let match;
-  while ((match = regex.exec(original)) !== null) {
-    const id = Number(match[1]);
-    const task = byId.get(id);
-    pieces.push(original.slice(cursor, match.index));
-    if (!task) {
-      pieces.push(match[0]);
-    } else {
-      const body = match[3];
-      const newBody = body
-        .replace(/Severity:\s*[^\n]+/i, `Severity: ${task.severity}`)
-        .replace(/Status:\s*[^\n]+/i, `Status: ${task.status}`);
-      pieces.push(`${id}. ${task.title}\n${newBody}`);
+    `${ind}Severity: ${task.severity}`,
+    `${ind}Status: ${task.status}`,
+    ...Object.entries(task.fields || {}).map(([k, v]) => `${ind}${k}: ${v}`),
+    ...(task.desc ? ['', ...indentLines(task.desc, ind)] : []),
+  ];
+}
+
+function joinDocument(doc, lines) {
+  return lines.join(doc.eol);
+}
+
+function updateDocument(doc, updated) {
+  const entry = doc.entries.find((e) => e.task.id === updated.id);
+  return joinDocument(doc, applyEdits(doc.lines, blockEdits(entry, doc.lines, updated)));
+}
+
+function appendToDocument(doc, task) {
+  return appendBlock(doc, newBlockLines(task));
+}
+
+// Appends block lines after a `---` separator, unless nothing but blank lines
+// follows the frontmatter yet.
+function appendBlock(doc, blockLines) {
+  const lines = doc.lines.slice();
+  const endsWithNewline = lines.length > 1 && lines[lines.length - 1] === '';
+  while (lines.length > doc.bodyStart && !lines[lines.length - 1].trim()) lines.pop();
+  if (lines.length > doc.bodyStart) lines.push('---');
+  lines.push(...blockLines);
+  if (endsWithNewline || doc.lines.length <= 1) lines.push('');
+  return joinDocument(doc, lines);
+}
+
+// Moves a block, lines unchanged, in front of another block or to the end.
+function moveInDocument(doc, id, beforeId) {
+  const entry = doc.entries.find((e) => e.task.id === id);
+  const block = doc.lines.slice(entry.titleIndex, entry.contentEnd);
+  const rest = parseDocument(removeFromDocument(doc, id));
+  const target = beforeId === null ? null : rest.entries.find((e) => e.task.id === beforeId);
+  if (!target) return appendBlock(rest, block);
+  const lines = rest.lines.slice();
+  lines.splice(target.seg.start, 0, ...block, '---');
+  return joinDocument(rest, lines);
+}
+
+// Removes a block together with one neighbouring separator.
+function removeFromDocument(doc, id) {
+  const { seg } = doc.entries.find((e) => e.task.id === id);
+  const lines = doc.lines.slice();
+  if (seg.sep !== -1) {
+    lines.splice(seg.start, seg.sep + 1 - seg.start);
+  } else {
+    const prev = doc.segments[doc.segments.indexOf(seg) - 1];
+    const from = prev ? prev.sep : seg.start;
+    const endsWithNewline = lines[lines.length - 1] === '';
+    lines.splice(from, seg.end - from);
+    if (endsWithNewline && lines[lines.length - 1] !== '') lines.push('');
+  }
+  return joinDocument(doc, lines);
+}
+
+// --- Boards ----------------------------------------------------------------
+// Every task file is a board. A board is named after its path relative to the
+// script (`docs/roadmap.md` -> `docs-roadmap`) unless configured otherwise,
+// and keeps its own snapshot for history and live events, and its own undo
+// log. The first board also answers the unprefixed routes.
+const boards = new Map();
+const GLOB_SKIP_DIRS = new Set(['node_modules', '.git']);
+
+function boardSlug(file) {
+  return path.relative(__dirname, file).replace(/\.md$/i, '').toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'tasks';
+}
+
+function readDirEntries(dir) {
+  try {
+    return fs.readdirSync(dir, { withFileTypes: true });
+  } catch (err) {
+    return [];
+  }
+}
+
+// Enough glob for task files: `*` and `?` within a path segment, `**` for
+// any number of directories. Hidden directories and node_modules are skipped.
+function expandGlob(pattern) {
+  const segments = pattern.split(/[\\/]+/).filter((s) => s && s !== '.');
+  const toRegex = (seg) => new RegExp(`^${seg.replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*').replace(/\?/g, '.')}$`);
+  const found = new Set();
+  const walk = (dir, idx) => {
+    if (idx === segments.length) {
+      try {
+        if (fs.statSync(dir).isFile()) found.add(dir);
+      } catch (err) {
+        // Vanished while walking.
+      }
+      return;
+    }
+    const seg = segments[idx];
+    if (seg === '**') {
+      walk(dir, idx + 1);
+      for (const entry of readDirEntries(dir)) {
+        if (entry.isDirectory() && !entry.name.startsWith('.') && !GLOB_SKIP_DIRS.has(entry.name)) {
+          walk(path.join(dir, entry.name), idx);
+        }
+      }
+      return;
+    }
+    if (!/[*?]/.test(seg)) {
+      walk(path.join(dir, seg), idx + 1);
+      return;
     }
-    cursor = regex.lastIndex;
+    const re = toRegex(seg);
+    for (const entry of readDirEntries(dir)) {
+      if (!entry.name.startsWith('.') && re.test(entry.name)) walk(path.join(dir, entry.name), idx + 1);
+    }
+  };
+  walk(path.isAbsolute(pattern) ? path.parse(pattern).root : __dirname, 0);
+  return [...found].sort();
+}
+
+// Specs are paths, globs or `{ name, path }` objects, relative to the script.
+function loadBoards(specs) {
+  boards.clear();
+  for (const spec of specs) {
+    const pattern = typeof spec === 'string' ? spec : spec && spec.path;
+    if (!pattern) throw new Error('Board entries need a path');
+    const files = /[*?]/.test(pattern)
+      ? expandGlob(pattern).filter((f) => !/\.(archive|trash)\.md$/i.test(f))
+      : [path.resolve(__dirname, pattern)];
+    if (!files.length || !files.every((f) => fs.existsSync(f))) throw new Error(`No task file matches "${pattern}"`);
+    for (const file of files) {
+      if ([...boards.values()].some((b) => b.path === file)) continue;
+      let name = (typeof spec === 'object' && files.length === 1 && spec.name) || boardSlug(file);
+      for (let n = 2; boards.has(name); n += 1) name = `${boardSlug(file)}-${n}`;
+      boards.set(name, {
+        name,
+        path: file,
+        file: path.relative(__dirname, file),
+        archivePath: archivePathOf(file),
+        trashPath: trashPathOf(file),
+        lastSnapshot: null,
+        lastBroadcast: null,
+        idIndex: new Map(),
+        undo: [],
+        redo: [],
+      });
+    }
+  }
+  return boards;
+}
+
+function boardSpecs(cfg, args = []) {
+  if (args.length) return args;
+  return Array.isArray(cfg.boards) && cfg.boards.length ? cfg.boards : [DEFAULT_TASKS_FILE];
+}
+
+function defaultBoard() {
+  return boards.values().next().value;
+}
+
+// Accepts a board name or the path of one of the loaded task files.
+function findBoard(nameOrPath) {
+  if (boards.has(nameOrPath)) return boards.get(nameOrPath);
+  const file = path.resolve(__dirname, String(nameOrPath));
+  const board = [...boards.values()].find((b) => b.path === file);
+  if (!board) throw requestError(404, `Unknown board "${nameOrPath}"`);
+  return board;
+}
+
+// Statuses and severities declared by any board, for validating rules.
+function combinedMeta() {
+  const statuses = new Set();
+  const severities = new Set();
+  for (const board of boards.values()) {
+    const { meta } = readTasks(board);
+    (meta.statuses || []).forEach((s) => statuses.add(s));
+    (meta.severities || []).forEach((s) => severities.add(s));
   }
-  pieces.push(original.slice(cursor));
-  return pieces.join('');
+  return { statuses: [...statuses], severities: [...severities] };
+}
+
+function requestError(statusCode, message) {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  return err;
 }
 
 // --- SSE management --------------------------------------------------------
-const clients = new Set();
-function sendEvent(data) {
-  const payload = `data: ${JSON.stringify(data)}\n\n`;
-  for (const res of clients) {
-    res.write(payload);
+// Every event gets an id of the form `<boot>:<seq>`. Recent events are kept so
+// a client reconnecting with Last-Event-ID can be replayed what it missed; if
+// they are gone (or the server restarted) it is told to resync instead.
+// Clients subscribe to one board; the map holds the board name per response.
+const clients = new Map();
+const EVENT_BOOT = Date.now().toString(36);
+const EVENT_BUFFER_SIZE = 500;
+const HEARTBEAT_MS = 15000;
+const eventBuffer = [];
+let eventSeq = 0;
+
+function lastEventId() {
+  return `${EVENT_BOOT}:${eventSeq}`;
+}
+
+function formatEvent(event) {
+  return `id: ${event.id}\ndata: ${JSON.stringify(event)}\n\n`;
+}
+
+function sendEvent(board, data) {
+  eventSeq += 1;
+  const event = { ...data, board: board.name, id: lastEventId() };
+  eventBuffer.push(event);
+  if (eventBuffer.length > EVENT_BUFFER_SIZE) eventBuffer.shift();
+  const payload = formatEvent(event);
+  for (const [res, name] of clients) {
+    if (name === board.name) res.write(payload);
+  }
+}
+
+// Events of `board` after `id`, or null when they can no longer be replayed.
+function eventsSince(board, id) {
+  const [boot, seq] = String(id).split(':');
+  const n = Number(seq);
+  if (boot !== EVENT_BOOT || !Number.isInteger(n) || n > eventSeq) return null;
+  const oldest = eventBuffer.length ? Number(eventBuffer[0].id.split(':')[1]) : eventSeq + 1;
+  if (n < oldest - 1) return null;
+  return eventBuffer.filter((e) => e.board === board.name && Number(e.id.split(':')[1]) > n);
+}
+
+setInterval(() => {
+  for (const res of clients.keys()) res.write(': heartbeat\n\n');
+}, HEARTBEAT_MS).unref();
+
+// Revision of the board's file as of the last write or detected edit.
+function currentRevision(board) {
+  return board.lastBroadcast ? board.lastBroadcast.revision : readTasks(board).revision;
+}
+
+// Turns a change of TASKS.md into task.* events carrying the task as /data
+// returns it, so clients can patch single cards. Tasks whose dependency
+// annotations changed (a prerequisite reached Done) are reported too.
+function broadcastChanges(board, tasks, meta, revision) {
+  const annotated = new Map(annotateDependencies(tasks, meta, archivedIds(board)).map((t) => [t.id, t]));
+  const metaJson = JSON.stringify(meta);
+  const previous = board.lastBroadcast;
+  board.lastBroadcast = { annotated, metaJson, revision };
+  if (!previous || previous.revision === revision) return;
+  if (previous.metaJson !== metaJson) {
+    sendEvent(board, { type: 'board.updated', meta, revision });
+    return;
+  }
+  let sent = false;
+  for (const [id, task] of annotated) {
+    const old = previous.annotated.get(id);
+    if (!old) {
+      sendEvent(board, { type: 'task.created', task, revision });
+      sent = true;
+      continue;
+    }
+    const changed = Object.keys({ ...old, ...task }).filter((k) => JSON.stringify(old[k]) !== JSON.stringify(task[k]));
+    if (!changed.length) continue;
+    const changes = changed.filter((k) => k !== 'raw' && k !== 'full');
+    sendEvent(board, { type: 'task.updated', taskId: id, changes, task, revision });
+    sent = true;
+  }
+  for (const id of previous.annotated.keys()) {
+    if (annotated.has(id)) continue;
+    sendEvent(board, { type: 'task.deleted', taskId: id, revision });
+    sent = true;
   }
+  const order = [...annotated.keys()];
+  const kept = [...previous.annotated.keys()].filter((id) => annotated.has(id));
+  if (String(order.filter((id) => previous.annotated.has(id))) !== String(kept)) {
+    sendEvent(board, { type: 'board.reordered', order, revision });
+    sent = true;
+  }
+  if (!sent) sendEvent(board, { type: 'board.updated', meta, revision });
 }
 
 // --- File reading/updating -------------------------------------------------
-function readTasks() {
-  const text = fs.readFileSync(TASKS_PATH, 'utf8');
-  const frontMatter = extractFrontMatter(text);
+function readTasks(board) {
+  const text = fs.readFileSync(board.path, 'utf8');
   const meta = parseFrontMatter(text);
-  return { text, frontMatter, tasks: parseTasks(text), meta };
+  const doc = parseDocument(text, meta);
+  return { text, doc, tasks: doc.tasks, meta, revision: revisionOf(text) };
+}
+
+function revisionOf(text) {
+  return crypto.createHash('sha1').update(text).digest('hex').slice(0, 16);
+}
+
+// Write to a temp file next to the target and rename it into place, so
+// readers (including Claude) never see a half-written file.
+function writeFileAtomic(file, content) {
+  const tmp = path.join(path.dirname(file), `.${path.basename(file)}.${process.pid}.${Date.now()}.tmp`);
+  try {
+    fs.writeFileSync(tmp, content, 'utf8');
+    fs.renameSync(tmp, file);
+  } catch (err) {
+    fs.rmSync(tmp, { force: true });
+    throw err;
+  }
 }
 
-function updateTask(id, updates) {
-  const { frontMatter, tasks } = readTasks();
+function writeTasksFile(board, content, source = 'board') {
+  writeFileAtomic(board.path, content);
+  recordChanges(board, source);
+}
+
+// Serializes mutations coming in over HTTP: each one runs after the previous
+// has finished, whether it succeeded or not.
+let taskLock = Promise.resolve();
+function withTaskLock(fn) {
+  const run = taskLock.then(fn);
+  taskLock = run.catch(() => {});
+  return run;
+}
+
+function conflictError(message) {
+  const err = new Error(message);
+  err.statusCode = 409;
+  return err;
+}
+
+// Honours `If-Match: <revision>` on mutating routes; with requireRevision
+// set, requests without one are refused.
+function checkRevision(req, board) {
+  const header = req.headers['if-match'];
+  if (!header) {
+    if (loadConfig().requireRevision) {
+      const err = new Error('If-Match header with the board revision is required');
+      err.statusCode = 428;
+      throw err;
+    }
+    return;
+  }
+  const expected = header.replace(/^W\//, '').replace(/"/g, '').trim();
+  if (expected === '*') return;
+  if (expected !== readTasks(board).revision) throw conflictError(`${board.file} changed since it was loaded`);
+}
+
+// Conflicts carry the fresh board so the client can re-render without
+// another round trip.
+function sendTaskError(res, err, board) {
+  const status = err.statusCode || 400;
+  const body = { error: err.message };
+  if (status === 409) {
+    try {
+      const { tasks, meta, revision } = readTasks(board);
+      Object.assign(body, { tasks: annotateDependencies(tasks, meta, archivedIds(board)), meta, revision });
+    } catch (readErr) {
+      console.error('[taskboard] unable to read tasks for conflict response', readErr.message);
+    }
+  }
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+// Validates an update against the current file and returns the new text
+// without writing it.
+function prepareUpdate(board, id, updates) {
+  const { doc, tasks, meta } = readTasks(board);
   const idx = tasks.findIndex((t) => t.id === id);
   if (idx === -1) throw new Error('Task not found');
   const oldTask = tasks[idx];
+  if (updates.title !== undefined) checkTitle(updates.title);
   const updated = { ...oldTask, ...updates };
-  const newContent = serializeTasks(frontMatter, tasks.map((t, i) => (i === idx ? updated : t)));
-  fs.writeFileSync(TASKS_PATH, newContent, 'utf8');
-  return { oldTask, updated };
+  if (updates.fields !== undefined) {
+    updated.fields = mergeFields(oldTask.fields, normalizeFields(updates.fields, meta));
+    updated.depends = parseDependencyIds(fieldValue(updated.fields, DEPENDS_FIELD));
+  }
+  const nextTasks = tasks.map((t, i) => (i === idx ? updated : t));
+  if (String(updated.depends) !== String(oldTask.depends)) validateDependencies(nextTasks, updated, archivedIds(board));
+  let warning = null;
+  if (normalizeStatus(updated.status) !== normalizeStatus(oldTask.status)) checkWipLimit(tasks, updated.status, meta, id);
+  if (isReadyStatus(updated.status, meta) && !isReadyStatus(oldTask.status, meta)) {
+    const blockers = unfinishedDependencies(nextTasks, updated, meta);
+    if (blockers.length) {
+      warning = `Task #${id} is blocked by ${blockers.map((d) => `#${d}`).join(', ')}`;
+      if (loadConfig().blockOnDependencies) throw new Error(`${warning}; finish those first`);
+    }
+  }
+  return { oldTask, updated, warning, text: updateDocument(doc, updated) };
 }
 
-function createTask(data) {
-  const { frontMatter, tasks, meta } = readTasks();
-  const title = String(data.title || '').trim();
-  if (!title) throw new Error('Title is required');
-  const maxId = tasks.reduce((m, t) => Math.max(m, t.id), 0);
-  const nextId = maxId + 1;
-  const status = data.status ? String(data.status).trim() : 'Backlog';
-  const defaultSeverity = (meta.severities || []).find((s) => String(s).toLowerCase() === 'medium')
+// Status and severity sent over HTTP or the CLI must be declared in the
+// frontmatter, or be the task's `current` one so a task still using an
+// undeclared value can be saved unchanged. Returns the declared spelling.
+function declaredValue(kind, value, declared, current) {
+  const wanted = String(value).trim();
+  if (!declared || !declared.length) return wanted;
+  const match = [...declared, current].find((n) => n !== undefined && String(n).toLowerCase() === wanted.toLowerCase());
+  if (!match) throw new Error(`Unknown ${kind} "${wanted}" (use ${declared.join(', ')})`);
+  return match;
+}
+
+function updateTask(board, id, updates, source = 'board') {
+  const { oldTask, updated, warning, text } = prepareUpdate(board, id, updates);
+  writeTasksFile(board, text, source);
+  return { oldTask, updated, warning };
+}
+
+// The order of blocks in the file is the order of cards in each column.
+// Moves a task in front of `before` or, without it, after the last task of
+// its (new) column; a status change is validated like any other update and
+// lands in the same write.
+function reorderTask(board, id, { status, before = null }, source = 'board') {
+  const { text, tasks, meta } = readTasks(board);
+  const task = tasks.find((t) => t.id === id);
+  if (!task) throw new Error('Task not found');
+  if (before === id) throw new Error('A task cannot be placed before itself');
+  if (before !== null && !tasks.some((t) => t.id === before)) throw new Error('Target task not found');
+  let result = { oldTask: task, updated: task, warning: null, text };
+  if (status && normalizeStatus(status) !== normalizeStatus(task.status)) result = prepareUpdate(board, id, { status });
+  const doc = parseDocument(result.text, meta);
+  let target = before;
+  if (target === null) {
+    const column = doc.tasks.filter((t) => t.id !== id && normalizeStatus(t.status) === normalizeStatus(result.updated.status));
+    const last = column.length ? doc.tasks.indexOf(column[column.length - 1]) : -1;
+    const next = last === -1 ? null : doc.tasks.slice(last + 1).find((t) => t.id !== id);
+    target = next ? next.id : null;
+  }
+  const moved = moveInDocument(doc, id, target);
+  if (moved !== text) writeTasksFile(board, moved, source);
+  return { oldTask: result.oldTask, updated: result.updated, warning: result.warning };
+}
+
+function defaultStatus(meta) {
+  return (meta.statuses || []).find((s) => isBacklogStatus(s, meta)) || 'Backlog';
+}
+
+function defaultSeverity(meta) {
+  return (meta.severities || []).find((s) => String(s).toLowerCase() === 'medium')
     || (meta.severities && meta.severities[0])
     || 'MEDIUM';
-  const severity = data.severity ? String(data.severity).trim() : defaultSeverity;
+}
+
+// The title is the first line of the block; a line break would start new
+// separators and blocks in the file.
+function checkTitle(title) {
+  if (/[\r\n]/.test(title)) throw new Error('Title must be a single line');
+}
+
+function createTask(board, data, source = 'board') {
+  const { doc, tasks, meta } = readTasks(board);
+  const title = String(data.title || '').trim();
+  if (!title) throw new Error('Title is required');
+  checkTitle(title);
+  const nextId = nextTaskId(board, tasks);
+  const status = data.status ? String(data.status).trim() : defaultStatus(meta);
+  const severity = data.severity ? String(data.severity).trim() : defaultSeverity(meta);
   const desc = (data.desc || '').trim();
+  const fields = data.fields ? mergeFields({}, normalizeFields(data.fields, meta)) : {};
+  const depends = parseDependencyIds(fieldValue(fields, DEPENDS_FIELD));
+  const task = { id: nextId, title, severity, status, fields, depends, desc, full: '', raw: '' };
 
-  const newTasks = [...tasks, { id: nextId, title, severity, status, desc, full: '', raw: '' }];
-  const newContent = serializeTasks(frontMatter, newTasks);
-  fs.writeFileSync(TASKS_PATH, newContent, 'utf8');
+  const newTasks = [...tasks, task];
+  if (depends.length) validateDependencies(newTasks, task, archivedIds(board));
+  checkWipLimit(tasks, status, meta, nextId);
+  writeTasksFile(board, appendToDocument(doc, task), source);
   return { id: nextId };
 }
 
-function deleteTask(id) {
-  const { frontMatter, tasks } = readTasks();
-  const exists = tasks.some((t) => t.id === id);
-  if (!exists) throw new Error('Task not found');
-  const remaining = tasks.filter((t) => t.id !== id);
-  const newContent = serializeTasks(frontMatter, remaining);
-  fs.writeFileSync(TASKS_PATH, newContent, 'utf8');
+// Deleted tasks go to the trash (see Trash below).
+function deleteTask(board, id, source = 'board') {
+  const { tasks } = readTasks(board);
+  if (!tasks.some((t) => t.id === id)) throw new Error('Task not found');
+  moveBlocksOut(board, board.trashPath, [id], DELETED_FIELD, new Date().toISOString().slice(0, 10), source);
+}
+
+// Removes a block outright, for tasks that live on elsewhere.
+function removeTask(board, id, source = 'board') {
+  const { doc, tasks } = readTasks(board);
+  if (!tasks.some((t) => t.id === id)) throw new Error('Task not found');
+  writeTasksFile(board, removeFromDocument(doc, id), source);
+}
+
+// Ticks or unticks one checklist item, rewriting only that line of the file.
+function setSubtask(board, id, index, done, source = 'board') {
+  const { doc } = readTasks(board);
+  const entry = doc.entries.find((e) => e.task.id === id);
+  if (!entry) throw new Error('Task not found');
+  const subtask = entry.task.subtasks[index];
+  if (!subtask) throw new Error('Subtask not found');
+  const next = done === undefined ? !subtask.done : !!done;
+  const legacy = new Set(entry.legacy.map((l) => l.index));
+  const lines = doc.lines.slice();
+  let seen = -1;
+  for (let i = entry.descStart; i < entry.descEnd; i += 1) {
+    const m = !legacy.has(i) && lines[i].match(CHECKBOX_LINE);
+    if (!m) continue;
+    seen += 1;
+    if (seen !== index) continue;
+    lines[i] = `${m[1]}[${next ? 'x' : ' '}]${m[3]}`;
+    break;
+  }
+  writeTasksFile(board, joinDocument(doc, lines), source);
+  return { ...subtask, done: next };
+}
+
+// Moves a task to another board, where it gets that board's next id.
+// Dependencies don't carry over between files: the Depends field is dropped
+// and dependents left behind are reported in the warning.
+function transferTask(from, to, id) {
+  if (from === to) throw new Error('Task is already on that board');
+  const { tasks } = readTasks(from);
+  const task = tasks.find((t) => t.id === id);
+  if (!task) throw new Error('Task not found');
+  if (isActiveRun(runs.get(runKey(from.name, id)))) throw new Error('Task has an active run; cancel it first');
+  const { meta } = readTasks(to);
+  const targetStatuses = meta.statuses || [];
+  const status = targetStatuses.find((s) => normalizeStatus(s) === normalizeStatus(task.status))
+    || (targetStatuses.length ? targetStatuses.find((s) => isBacklogStatus(s, meta)) || targetStatuses[0] : task.status);
+  const targetSeverities = meta.severities || [];
+  const severity = targetSeverities.find((s) => s.toLowerCase() === String(task.severity).toLowerCase())
+    || (targetSeverities.length ? defaultSeverity(meta) : task.severity);
+  const fields = {};
+  for (const [name, value] of Object.entries(task.fields)) {
+    if (name.toLowerCase() !== DEPENDS_FIELD.toLowerCase()) fields[name] = value;
+  }
+  const created = createTask(to, { title: task.title, severity, status, desc: task.desc, fields });
+  try {
+    removeTask(from, id);
+  } catch (err) {
+    removeTask(to, created.id);
+    throw err;
+  }
+  const notes = [];
+  if (task.depends.length) notes.push(`dropped its dependencies on ${task.depends.map((d) => `#${d}`).join(', ')}`);
+  const dependents = tasks.filter((t) => t.depends.includes(id)).map((t) => `#${t.id}`);
+  if (dependents.length) notes.push(`${dependents.join(', ')} on ${from.name} still depend on #${id}`);
+  return { id: created.id, board: to.name, warning: notes.length ? `Moved as #${created.id}; ${notes.join('; ')}` : null };
 }
 
 function normalizeStatus(status) {
   return String(status || '').trim().toLowerCase();
 }
 
-function shouldTriggerAutomation(oldTask, updated) {
-  return normalizeStatus(oldTask.status) === 'backlog' && normalizeStatus(updated.status) === 'to do';
+// backlog / ready / done, from the frontmatter policies or, for statuses it
+// doesn't mention, the conventional names.
+function statusRole(status, meta) {
+  const policies = (meta && meta.statusPolicies) || {};
+  const name = Object.keys(policies).find((k) => normalizeStatus(k) === normalizeStatus(status));
+  if (name) return policies[name].role;
+  const fallback = DEFAULT_ROLES[normalizeStatus(status)];
+  if (!fallback || Object.values(policies).some((p) => p.role === fallback)) return null;
+  return fallback;
+}
+
+function isBacklogStatus(status, meta) {
+  return statusRole(status, meta) === 'backlog';
+}
+
+function isReadyStatus(status, meta) {
+  return statusRole(status, meta) === 'ready';
+}
+
+function isDoneStatus(status, meta) {
+  return statusRole(status, meta) === 'done';
+}
+
+function statusPolicy(status, meta) {
+  const policies = (meta && meta.statusPolicies) || {};
+  const name = Object.keys(policies).find((k) => normalizeStatus(k) === normalizeStatus(status));
+  return name ? { name, ...policies[name] } : null;
+}
+
+function checkWipLimit(tasks, status, meta, movingId) {
+  const policy = statusPolicy(status, meta);
+  if (!policy || !policy.wip) return;
+  const count = tasks.filter((t) => t.id !== movingId && normalizeStatus(t.status) === normalizeStatus(status)).length;
+  if (count >= policy.wip) {
+    throw new Error(`WIP limit reached for "${policy.name}" (${count}/${policy.wip}); finish or move a task out first`);
+  }
+}
+
+// --- Dependencies ----------------------------------------------------------
+function unfinishedDependencies(tasks, task, meta) {
+  const byId = new Map(tasks.map((t) => [t.id, t]));
+  return (task.depends || []).filter((d) => byId.has(d) && !isDoneStatus(byId.get(d).status, meta));
+}
+
+// Rejects unknown ids and cycles reachable from the task being written; the
+// rest of the file is left alone so one bad block can't freeze the board.
+// Archived ids are known (and finished), so depending on them is fine.
+function validateDependencies(tasks, task, archived = new Set()) {
+  const byId = new Map(tasks.map((t) => [t.id, t]));
+  const unknown = (task.depends || []).filter((d) => !byId.has(d) && !archived.has(d));
+  if (unknown.length) throw new Error(`Unknown dependency ${unknown.map((d) => `#${d}`).join(', ')}`);
+  const visit = (id, trail) => {
+    if (id === task.id && trail.length) {
+      throw new Error(`Dependency cycle: ${[...trail, id].map((d) => `#${d}`).join(' -> ')}`);
+    }
+    if (trail.includes(id)) return;
+    const node = byId.get(id);
+    for (const dep of (node && node.depends) || []) visit(dep, [...trail, id]);
+  };
+  visit(task.id, []);
+}
+
+// Adds blockedBy/unknownDeps so the client doesn't have to resolve the graph.
+function annotateDependencies(tasks, meta, archived = new Set()) {
+  const byId = new Map(tasks.map((t) => [t.id, t]));
+  return tasks.map((t) => ({
+    ...t,
+    blockedBy: unfinishedDependencies(tasks, t, meta),
+    unknownDeps: (t.depends || []).filter((d) => !byId.has(d) && !archived.has(d)),
+  }));
 }
 
-function triggerAutomation(oldTask, updated) {
+// Called for each task that just reached Done: dependents still in Backlog
+// whose prerequisites are now all Done move to To Do, which queues their run.
+function launchReadyDependents(board, doneTask) {
   const config = loadConfig();
-  if (!config.autorunEnabled) return;
-  if (!shouldTriggerAutomation(oldTask, updated)) return;
+  if (!config.autorunEnabled || !config.autorunDependents) return;
+  const { tasks, meta } = readTasks(board);
+  const readyStatus = (meta.statuses || []).find((s) => isReadyStatus(s, meta)) || 'To Do';
+  for (const t of tasks) {
+    if (!(t.depends || []).includes(doneTask.id)) continue;
+    if (!isBacklogStatus(t.status, meta)) continue;
+    if (unfinishedDependencies(tasks, t, meta).length) continue;
+    try {
+      const result = updateTask(board, t.id, { status: readyStatus }, 'autorun');
+      console.log(`[taskboard] #${doneTask.id} done, launching dependent #${t.id}`);
+      triggerAutomation(board, result.oldTask, result.updated);
+    } catch (err) {
+      console.error(`[taskboard] unable to launch dependent #${t.id}`, err.message);
+    }
+  }
+}
+
+// --- Query language --------------------------------------------------------
+// `sev:high status:"in progress" tag:ui -done "login"`: terms are ANDed, a
+// leading `-` negates one, commas inside a value mean "any of". A bare word
+// that names a status filters by it; anything else searches title and
+// description. Field terms take `>`, `>=`, `<`, `<=` for numbers and dates.
+const QUERY_TOKEN = /(-?)(?:([A-Za-z][\w-]*):)?(?:"([^"]*)"|(\S+))/g;
+const QUERY_ROLES = ['backlog', 'ready', 'done'];
+
+function compareTerm(value, actual, type) {
+  const m = value.match(/^(>=|<=|>|<)(.*)$/);
+  if (!m) return null;
+  const [, op, raw] = m;
+  const numeric = type === 'number' || type === 'id';
+  const a = numeric ? Number(actual) : String(actual);
+  const b = numeric ? Number(raw) : raw;
+  if (actual === '' || actual === undefined || (numeric && Number.isNaN(a))) return false;
+  if (op === '>') return a > b;
+  if (op === '>=') return a >= b;
+  if (op === '<') return a < b;
+  return a <= b;
+}
+
+function termPredicate(term, meta, tasks) {
+  const { key, value, quoted } = term;
+  const lower = value.toLowerCase();
+  const anyOf = lower.split(',').map((v) => v.trim()).filter(Boolean);
+  if (!key) {
+    if (!quoted && (meta.statuses || []).some((s) => normalizeStatus(s) === normalizeStatus(value))) {
+      return (t) => normalizeStatus(t.status) === normalizeStatus(value);
+    }
+    return (t) => `${t.title}\n${t.desc}`.toLowerCase().includes(lower);
+  }
+  if (key === 'sev' || key === 'severity') return (t) => anyOf.includes(String(t.severity).toLowerCase());
+  if (key === 'status') return (t) => anyOf.includes(normalizeStatus(t.status));
+  if (key === 'tag' || key === 'tags') {
+    return (t) => splitList(fieldValue(t.fields, 'Tags')).some((tag) => anyOf.includes(tag.toLowerCase()));
+  }
+  if (key === 'id') {
+    return (t) => {
+      const compared = compareTerm(value, t.id, 'id');
+      return compared === null ? anyOf.map((v) => Number(v.replace(/^#/, ''))).includes(t.id) : compared;
+    };
+  }
+  if (key === 'is') {
+    if (lower === 'blocked') return (t) => !!(t.blockedBy && t.blockedBy.length);
+    if (QUERY_ROLES.includes(lower)) return (t) => statusRole(t.status, meta) === lower;
+    throw new Error(`Unknown filter "is:${value}" (use blocked, ${QUERY_ROLES.join(', ')})`);
+  }
+  if (key === 'has') {
+    if (lower === 'subtasks' || lower === 'checklist') return (t) => (t.subtasks || []).length > 0;
+    if (lower === 'deps' || lower === 'depends') return (t) => (t.depends || []).length > 0;
+    return (t) => fieldValue(t.fields, value) !== '';
+  }
+  const declared = (meta.fields || []).find((f) => f.name.toLowerCase() === key);
+  const known = declared || tasks.some((t) => Object.keys(t.fields || {}).some((k) => k.toLowerCase() === key));
+  if (!known) throw new Error(`Unknown filter "${key}:"`);
+  const type = declared ? declared.type : 'text';
+  return (t) => {
+    const actual = fieldValue(t.fields, key);
+    const compared = compareTerm(value, actual, type);
+    if (compared !== null) return compared;
+    if (type === 'list') return splitList(actual).some((item) => anyOf.includes(item.toLowerCase()));
+    return String(actual).toLowerCase().includes(lower);
+  };
+}
+
+function parseQuery(query, meta, tasks) {
+  const terms = [];
+  for (const m of String(query || '').matchAll(QUERY_TOKEN)) {
+    const [, negate, key, quoted, bare] = m;
+    if (bare !== undefined && bare.includes('"')) throw new Error('Unterminated quote in filter');
+    const term = { key: key ? key.toLowerCase() : null, value: quoted !== undefined ? quoted : bare, quoted: quoted !== undefined };
+    terms.push({ negate: negate === '-', test: termPredicate(term, meta, tasks) });
+  }
+  return terms;
+}
+
+// Filters annotated tasks; `hidden` counts the filtered-out cards per status.
+function filterTasks(tasks, meta, query) {
+  const terms = parseQuery(query, meta, tasks);
+  const visible = [];
+  const hidden = {};
+  for (const t of tasks) {
+    if (terms.every((term) => term.test(t) !== term.negate)) visible.push(t);
+    else hidden[t.status] = (hidden[t.status] || 0) + 1;
+  }
+  return { tasks: visible, hidden };
+}
+
+// --- Import/export ---------------------------------------------------------
+// Tasks leave the board as JSON (the board's own shape), CSV (one column per
+// field) or GitHub issues (title, body, labels, state). Imports accept the
+// same formats plus `gh issue list --json` dumps; every imported task gets a
+// fresh id after the board's highest, so nothing collides with the file.
+
+const EXPORT_FORMATS = {
+  json: { contentType: 'application/json', ext: 'json' },
+  csv: { contentType: 'text/csv; charset=utf-8', ext: 'csv' },
+  'gh-issues': { contentType: 'application/json', ext: 'issues.json' },
+};
+const CSV_CORE_COLUMNS = ['id', 'title', 'severity', 'status'];
+
+function csvCell(value) {
+  const text = value === undefined || value === null ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// RFC 4180: quoted cells may hold commas, newlines and doubled quotes.
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+  const input = String(text).replace(/^\uFEFF/, '');
+  for (let i = 0; i < input.length; i += 1) {
+    const c = input[i];
+    if (quoted) {
+      if (c === '"' && input[i + 1] === '"') {
+        cell += '"';
+        i += 1;
+      } else if (c === '"') {
+        quoted = false;
+      } else {
+        cell += c;
+      }
+    } else if (c === '"') {
+      quoted = true;
+    } else if (c === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (c === '\n' || c === '\r') {
+      if (c === '\r' && input[i + 1] === '\n') i += 1;
+      rows.push([...row, cell]);
+      row = [];
+      cell = '';
+    } else {
+      cell += c;
+    }
+  }
+  if (quoted) throw new Error('Unterminated quote in CSV');
+  if (cell || row.length) rows.push([...row, cell]);
+  return rows.filter((r) => r.some((c) => c.trim()));
+}
+
+// Severity and status travel as `severity: High` / `status: To Do` labels,
+// Tags as plain labels and the other fields as a list under the description.
+function issueFromTask(task, meta) {
+  const labels = [`severity: ${task.severity}`, `status: ${task.status}`, ...splitList(fieldValue(task.fields, 'Tags'))];
+  const extra = Object.entries(task.fields)
+    .filter(([name]) => name.toLowerCase() !== 'tags')
+    .map(([name, value]) => `- **${name}:** ${value}`);
+  const body = [task.desc, extra.join('\n')].filter(Boolean).join('\n\n');
+  return { title: task.title, body, labels, state: isDoneStatus(task.status, meta) ? 'closed' : 'open' };
+}
+
+function exportTasks(tasks, meta, format) {
+  if (format === 'csv') {
+    const seen = new Set();
+    const fieldNames = [...(meta.fields || []).map((f) => f.name), ...tasks.flatMap((t) => Object.keys(t.fields))]
+      .filter((name) => !seen.has(name.toLowerCase()) && seen.add(name.toLowerCase()));
+    const rows = [[...CSV_CORE_COLUMNS, ...fieldNames, 'description']];
+    for (const t of tasks) {
+      rows.push([t.id, t.title, t.severity, t.status, ...fieldNames.map((name) => fieldValue(t.fields, name)), t.desc]);
+    }
+    return `${rows.map((r) => r.map(csvCell).join(',')).join('\r\n')}\r\n`;
+  }
+  if (format === 'gh-issues') return `${JSON.stringify(tasks.map((t) => issueFromTask(t, meta)), null, 2)}\n`;
+  const exported = tasks.map((t) => ({ id: t.id, title: t.title, severity: t.severity, status: t.status, fields: t.fields, desc: t.desc }));
+  return `${JSON.stringify({ statuses: meta.statuses || [], severities: meta.severities || [], tasks: exported }, null, 2)}\n`;
+}
+
+// Reads an upload into plain records ({ row, sourceId, title, severity,
+// status, labels, state, fields, desc }); mapping onto the board comes later.
+function importRecords(data, format) {
+  if (format === 'csv') {
+    const [header, ...rows] = parseCsv(typeof data === 'string' ? data : '');
+    if (!header) return [];
+    const columns = header.map((h) => h.trim());
+    return rows.map((cells, i) => {
+      const record = { row: i + 2, fields: {} };
+      columns.forEach((name, col) => {
+        const value = cells[col] === undefined ? '' : cells[col];
+        const key = name.toLowerCase();
+        if (key === 'id' || key === 'number') record.sourceId = Number(value.replace(/^#/, '')) || undefined;
+        else if (key === 'title' || key === 'severity' || key === 'status' || key === 'state') record[key] = value.trim();
+        else if (key === 'description' || key === 'desc' || key === 'body') record.desc = value;
+        else if (key === 'labels') record.labels = splitList(value);
+        else if (name && value.trim()) record.fields[name] = value.trim();
+      });
+      return record;
+    });
+  }
+  let parsed = data;
+  if (typeof data === 'string') {
+    try {
+      parsed = JSON.parse(data);
+    } catch (err) {
+      throw new Error(`Invalid JSON: ${err.message}`);
+    }
+  }
+  const items = Array.isArray(parsed) ? parsed : parsed && (parsed.tasks || parsed.issues);
+  if (!Array.isArray(items)) throw new Error('Expected an array of tasks or issues, or an object with a "tasks" array');
+  return items.map((item, i) => {
+    if (!item || typeof item !== 'object' || Array.isArray(item)) return { row: i + 1, invalid: true };
+    const labels = Array.isArray(item.labels) ? item.labels.map((l) => (l && typeof l === 'object' ? l.name : l)) : [];
+    const fields = item.fields && typeof item.fields === 'object' && !Array.isArray(item.fields) ? item.fields : {};
+    return {
+      row: i + 1,
+      sourceId: Number.isInteger(item.number) ? item.number : Number(item.id) || undefined,
+      title: typeof item.title === 'string' ? item.title : '',
+      severity: item.severity,
+      status: item.status,
+      state: item.state,
+      labels: labels.filter((l) => typeof l === 'string'),
+      fields,
+      desc: [item.desc, item.description, item.body].find((d) => typeof d === 'string') || '',
+    };
+  });
+}
+
+function declaredMatch(names, value) {
+  const wanted = String(value).trim().toLowerCase();
+  return (names || []).find((n) => n.toLowerCase() === wanted);
+}
+
+// Maps records onto the board: labels such as `severity: high` or a bare
+// `critical` fill severity and status, closed issues land in the done
+// status, and Depends is rewritten to the new ids. Values that don't map are
+// replaced by the board's defaults and reported; rows without a title are
+// skipped.
+function planImport(tasks, meta, records, firstId) {
+  const importable = records.filter((r) => !r.invalid && String(r.title || '').trim());
+  const idMap = new Map();
+  importable.forEach((r, i) => {
+    if (r.sourceId !== undefined && !idMap.has(r.sourceId)) idMap.set(r.sourceId, firstId + i);
+  });
+  let nextId = firstId;
+  const created = [];
+  const skipped = [];
+  const warnings = [];
+  const all = tasks.slice();
+  for (const r of records) {
+    const warn = (message) => warnings.push({ row: r.row, message });
+    if (r.invalid) {
+      skipped.push({ row: r.row, reason: 'Not an object' });
+      continue;
+    }
+    const title = String(r.title || '').replace(/\s+/g, ' ').trim();
+    if (!title) {
+      skipped.push({ row: r.row, reason: 'No title' });
+      continue;
+    }
+    let severity = r.severity ? String(r.severity).trim() : '';
+    let status = r.status ? String(r.status).trim() : '';
+    const tags = [];
+    for (const label of r.labels || []) {
+      const m = label.match(/^\s*(severity|priority|status)\s*[:/]\s*(.+)$/i);
+      if (m && m[1].toLowerCase() === 'status') status = status || m[2].trim();
+      else if (m) severity = severity || m[2].trim();
+      else if (!severity && declaredMatch(meta.severities, label)) severity = label;
+      else if (!status && declaredMatch(meta.statuses, label)) status = label;
+      else if (label.trim()) tags.push(label.trim());
+    }
+    if (!status && /^closed$/i.test(String(r.state || ''))) {
+      status = (meta.statuses || []).find((s) => isDoneStatus(s, meta)) || 'Done';
+    }
+    if (severity && (meta.severities || []).length && !declaredMatch(meta.severities, severity)) {
+      warn(`Unknown severity "${severity}", imported as ${defaultSeverity(meta)}`);
+      severity = '';
+    }
+    if (status && (meta.statuses || []).length && !declaredMatch(meta.statuses, status)) {
+      warn(`Unknown status "${status}", imported as ${defaultStatus(meta)}`);
+      status = '';
+    }
+    severity = severity ? declaredMatch(meta.severities, severity) || severity : defaultSeverity(meta);
+    status = status ? declaredMatch(meta.statuses, status) || status : defaultStatus(meta);
+
+    const id = nextId;
+    nextId += 1;
+    const fields = {};
+    const input = { ...r.fields };
+    if (tags.length) input.Tags = [...splitList(fieldValue(input, 'Tags')), ...tags].join(', ');
+    for (const [name, value] of Object.entries(input)) {
+      if (name.toLowerCase() === DEPENDS_FIELD.toLowerCase()) {
+        const deps = parseDependencyIds(value);
+        const mapped = deps.filter((d) => idMap.has(d)).map((d) => idMap.get(d));
+        const dropped = deps.filter((d) => !idMap.has(d));
+        if (dropped.length) warn(`Dropped dependencies on ${dropped.map((d) => `#${d}`).join(', ')} (not in the import)`);
+        if (mapped.length) fields[DEPENDS_FIELD] = mapped.join(', ');
+        continue;
+      }
+      try {
+        Object.assign(fields, normalizeFields({ [name]: Array.isArray(value) ? value : String(value) }, meta));
+      } catch (err) {
+        warn(`Dropped field ${name}: ${err.message}`);
+      }
+    }
+    for (const name of Object.keys(fields)) if (fields[name] === null) delete fields[name];
+    const desc = String(r.desc || '').replace(/\r\n/g, '\n').trim();
+    const task = { id, title, severity, status, fields, depends: parseDependencyIds(fieldValue(fields, DEPENDS_FIELD)), desc, full: '', raw: '' };
+    try {
+      checkWipLimit(all, status, meta, id);
+    } catch (err) {
+      warn(err.message);
+    }
+    all.push(task);
+    created.push({ row: r.row, sourceId: r.sourceId, task });
+  }
+  // Dependencies only point at tasks from the same import, so a cycle can only
+  // come from the upload itself.
+  for (const c of created) {
+    if (!c.task.depends.length) continue;
+    try {
+      validateDependencies(all, c.task);
+    } catch (err) {
+      warnings.push({ row: c.row, message: `Dropped dependencies: ${err.message}` });
+      delete c.task.fields[DEPENDS_FIELD];
+      c.task.depends = [];
+    }
+  }
+  return { created, skipped, warnings };
+}
+
+// Appends every mapped task in one write; with dryRun the board is untouched
+// and the result is the preview.
+function importTasks(board, data, format, { dryRun = false, source = 'import' } = {}) {
+  if (!EXPORT_FORMATS[format]) throw new Error(`Unknown import format "${format}"`);
+  const { text, tasks, meta } = readTasks(board);
+  const plan = planImport(tasks, meta, importRecords(data, format), nextTaskId(board, tasks));
+  if (!dryRun && plan.created.length) {
+    let next = text;
+    for (const { task } of plan.created) next = appendToDocument(parseDocument(next, meta), task);
+    writeTasksFile(board, next, source);
+  }
+  return {
+    dryRun,
+    created: plan.created.map(({ row, sourceId, task }) => ({
+      row,
+      sourceId: sourceId === undefined ? null : sourceId,
+      id: task.id,
+      title: task.title,
+      severity: task.severity,
+      status: task.status,
+      fields: task.fields,
+    })),
+    skipped: plan.skipped,
+    warnings: plan.warnings,
+  };
+}
+
+function importFormatFor(file) {
+  return /\.csv$/i.test(file) ? 'csv' : 'json';
+}
+
+// --- Automation rules ------------------------------------------------------
+// A rule matches a status transition (and optionally severity/tags) and names
+// the command to queue. Status values may be names, `role:<role>` or `*`.
+// Without configured rules the board keeps its original behaviour.
+const DEFAULT_RULE = { name: 'do-task', from: 'role:backlog', to: 'role:ready', command: '{claude} /do-task {id}' };
+const RULE_KEYS = ['name', 'from', 'to', 'severity', 'tags', 'command'];
+
+function effectiveRules(cfg) {
+  return Array.isArray(cfg.rules) && cfg.rules.length ? cfg.rules : [DEFAULT_RULE];
+}
+
+function specList(spec) {
+  if (spec === undefined || spec === null || spec === '') return [];
+  return (Array.isArray(spec) ? spec : [spec]).map((s) => String(s).trim()).filter(Boolean);
+}
+
+function matchesStatus(spec, status, meta) {
+  const list = specList(spec);
+  if (!list.length) return true;
+  return list.some((s) => {
+    if (s === '*') return true;
+    if (s.toLowerCase().startsWith('role:')) return statusRole(status, meta) === s.slice(5).trim().toLowerCase();
+    return normalizeStatus(s) === normalizeStatus(status);
+  });
+}
+
+function ruleMatches(rule, oldTask, updated, meta) {
+  if (!matchesStatus(rule.from, oldTask.status, meta)) return false;
+  if (!matchesStatus(rule.to, updated.status, meta)) return false;
+  const severities = specList(rule.severity);
+  if (severities.length && !severities.some((s) => s.toLowerCase() === String(updated.severity).toLowerCase())) return false;
+  const tags = specList(rule.tags).map((t) => t.toLowerCase());
+  const taskTags = splitList(fieldValue(updated.fields, 'Tags')).map((t) => t.toLowerCase());
+  if (tags.length && !tags.some((t) => taskTags.includes(t))) return false;
+  return true;
+}
+
+// Splits the template into arguments first and only then fills in the
+// placeholders, so a title with spaces or quotes stays one argument and no
+// shell is involved. `{claude}` expands to the configured claudeBin.
+function renderCommand(template, task, oldTask, cfg, board) {
+  const values = {
+    id: String(task.id),
+    title: task.title,
+    status: task.status,
+    from: oldTask ? oldTask.status : '',
+    severity: task.severity,
+    board: board ? board.name : '',
+    file: board ? board.file : '',
+  };
+  const tokens = String(template).trim().match(/[^\s"']+|"([^"]*)"|'([^']*)'/g) || [];
+  const argv = [];
+  for (const token of tokens) {
+    const arg = token.replace(/^"|"$/g, '').replace(/^'|'$/g, '');
+    if (arg === '{claude}') {
+      const { cmd, args } = parseCmd(cfg.claudeBin || DEFAULT_CONFIG.claudeBin);
+      argv.push(cmd, ...args);
+    } else {
+      argv.push(arg.replace(/\{(id|title|status|from|severity|board|file)\}/g, (m, key) => values[key]));
+    }
+  }
+  return argv;
+}
+
+// Every rule, in order, with whether it matches; the first match is the one
+// that fires.
+function evaluateRules(rules, oldTask, updated, meta, cfg, board) {
+  let fired = null;
+  const results = rules.map((rule, idx) => {
+    const matches = ruleMatches(rule, oldTask, updated, meta);
+    const name = rule.name || `rule-${idx + 1}`;
+    if (matches && !fired) fired = name;
+    return { name, matches, fires: matches && fired === name, command: renderCommand(rule.command, updated, oldTask, cfg, board) };
+  });
+  return { fired, results };
+}
+
+function validateRules(rules, meta) {
+  if (!Array.isArray(rules)) throw new Error('rules must be an array');
+  const statuses = (meta.statuses || []).map(normalizeStatus);
+  const severities = (meta.severities || []).map((s) => s.toLowerCase());
+  const roles = ['backlog', 'ready', 'done'];
+  return rules.map((rule, idx) => {
+    const label = `Rule ${idx + 1}`;
+    if (!rule || typeof rule !== 'object' || Array.isArray(rule)) throw new Error(`${label} must be an object`);
+    const unknown = Object.keys(rule).filter((k) => !RULE_KEYS.includes(k));
+    if (unknown.length) throw new Error(`${label}: unknown key ${unknown.join(', ')}`);
+    if (typeof rule.command !== 'string' || !rule.command.trim()) throw new Error(`${label}: command is required`);
+    if (rule.name !== undefined && (typeof rule.name !== 'string' || !rule.name.trim())) throw new Error(`${label}: name must be a non-empty string`);
+    for (const key of ['from', 'to', 'severity', 'tags']) {
+      const value = rule[key];
+      if (value === undefined) continue;
+      const list = Array.isArray(value) ? value : [value];
+      if (list.some((v) => typeof v !== 'string')) throw new Error(`${label}: ${key} must be a string or an array of strings`);
+      for (const v of specList(value)) {
+        if ((key === 'from' || key === 'to') && v !== '*') {
+          if (v.toLowerCase().startsWith('role:')) {
+            if (!roles.includes(v.slice(5).trim().toLowerCase())) throw new Error(`${label}: unknown role in ${key}: ${v}`);
+          } else if (statuses.length && !statuses.includes(normalizeStatus(v))) {
+            throw new Error(`${label}: unknown status in ${key}: ${v}`);
+          }
+        }
+        if (key === 'severity' && severities.length && !severities.includes(v.toLowerCase())) {
+          throw new Error(`${label}: unknown severity: ${v}`);
+        }
+      }
+    }
+    const unknownPlaceholder = (rule.command.match(/\{[^}]*\}/g) || [])
+      .find((p) => !['{id}', '{title}', '{status}', '{from}', '{severity}', '{board}', '{file}', '{claude}'].includes(p));
+    if (unknownPlaceholder) throw new Error(`${label}: unknown placeholder ${unknownPlaceholder}`);
+    const cleaned = {};
+    for (const key of RULE_KEYS) if (rule[key] !== undefined) cleaned[key] = typeof rule[key] === 'string' ? rule[key].trim() : rule[key];
+    return cleaned;
+  });
+}
+
+function triggerAutomation(board, oldTask, updated) {
+  const config = loadConfig();
+  // Not awaited: the commit waits its turn on the git lock, ahead of the
+  // checkout of any run queued below, while the request carries on.
+  if (config.autoCommit && oldTask.status !== updated.status) commitStatusChange(board, readTasks(board).text, oldTask, updated);
+  if (!config.autorunEnabled) return;
+  const { fired, results } = evaluateRules(effectiveRules(config), oldTask, updated, readTasks(board).meta, config, board);
+  if (!fired) return;
+  const rule = results.find((r) => r.fires);
+  enqueueRun(board, updated, `${oldTask.status} -> ${updated.status}`, { rule: rule.name, command: rule.command });
+}
+
+// --- History ---------------------------------------------------------------
+// Every change to TASKS.md is diffed against the last known snapshot and
+// appended to the history file, one JSON object per line. Board writes record
+// themselves as soon as they land; whatever the fs.watch handler still finds
+// afterwards was made outside the board (Claude, an editor, git).
+
+function resolveHistoryPath(cfg) {
+  const target = cfg.historyPath || DEFAULT_CONFIG.historyPath;
+  return path.isAbsolute(target) ? target : path.join(__dirname, target);
+}
+
+function diffTasks(before, after) {
+  const changes = [];
+  for (const [id, task] of after) {
+    const old = before.get(id);
+    if (!old) {
+      changes.push({ type: 'created', task, changes: { status: { from: null, to: task.status } } });
+      continue;
+    }
+    const diff = {};
+    for (const key of ['title', 'severity', 'status']) {
+      if (old[key] !== task[key]) diff[key] = { from: old[key], to: task[key] };
+    }
+    for (const name of new Set([...Object.keys(old.fields), ...Object.keys(task.fields)])) {
+      if (old.fields[name] !== task.fields[name]) {
+        diff[`fields.${name}`] = { from: old.fields[name] || null, to: task.fields[name] || null };
+      }
+    }
+    if (old.desc !== task.desc) diff.desc = { changed: true };
+    if (Object.keys(diff).length) changes.push({ type: 'updated', task, changes: diff });
+  }
+  for (const [id, task] of before) {
+    if (!after.has(id)) changes.push({ type: 'deleted', task, changes: { status: { from: task.status, to: null } } });
+  }
+  return changes;
+}
+
+// Archiving is not deleting: those entries keep their own type so metrics and
+// the timeline still count the task. A task brought back from the archive or
+// the trash, or by undo or redo, is `restored` and keeps its past.
+function historyType(type, source) {
+  if (type === 'deleted' && /archive$/.test(source)) return 'archived';
+  if (type === 'created' && ['restore', 'undo', 'redo'].includes(source)) return 'restored';
+  return type;
+}
+
+function recordChanges(board, source) {
+  let tasks;
+  let meta;
+  let revision;
+  try {
+    ({ tasks, meta, revision } = readTasks(board));
+  } catch (err) {
+    console.error(`[taskboard] unable to read ${board.file}`, err.message);
+    return;
+  }
+  broadcastChanges(board, tasks, meta, revision);
+  const previous = board.lastSnapshot;
+  board.lastSnapshot = new Map(tasks.map((t) => [t.id, t]));
+  if (!previous) return;
+  const changes = diffTasks(previous, board.lastSnapshot);
+  if (!changes.length) return;
+  const ts = new Date().toISOString();
+  const lines = changes.map((c) => JSON.stringify({
+    ts,
+    board: board.name,
+    taskId: c.task.id,
+    title: c.task.title,
+    severity: c.task.severity,
+    type: historyType(c.type, source),
+    source,
+    changes: c.changes,
+  }));
+  try {
+    fs.appendFileSync(resolveHistoryPath(loadConfig()), `${lines.join('\n')}\n`);
+  } catch (err) {
+    console.error('[taskboard] unable to write history', err.message);
+  }
+  for (const c of changes) {
+    const status = c.changes.status;
+    if (status && status.from !== null && isDoneStatus(status.to, meta) && !isDoneStatus(status.from, meta)) {
+      launchReadyDependents(board, c.task);
+    }
+  }
+}
+
+// Entries written before boards existed belong to the default board.
+function readHistory(board, taskId) {
+  let text;
+  try {
+    text = fs.readFileSync(resolveHistoryPath(loadConfig()), 'utf8');
+  } catch (err) {
+    if (err.code === 'ENOENT') return [];
+    throw err;
+  }
+  const entries = [];
+  for (const line of text.split('\n')) {
+    if (!line.trim()) continue;
+    try {
+      const entry = JSON.parse(line);
+      if ((entry.board || defaultBoard().name) !== board.name) continue;
+      if (taskId === undefined || entry.taskId === taskId) entries.push(entry);
+    } catch (err) {
+      // A torn or hand-edited line shouldn't hide the rest of the history.
+    }
+  }
+  return entries;
+}
+
+function median(values) {
+  if (!values.length) return null;
+  const sorted = values.slice().sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+function weekStart(iso) {
+  const d = new Date(iso);
+  const day = (d.getUTCDay() + 6) % 7;
+  d.setUTCDate(d.getUTCDate() - day);
+  return d.toISOString().slice(0, 10);
+}
+
+// Lead time: created -> Done. Cycle time: first move out of Backlog -> Done.
+// Both use the last time a task reached Done; times are in milliseconds.
+// Deleted tasks (in the trash, say) don't count, but keep their history in
+// case they are restored; a new task reusing the id starts over.
+function computeMetrics(entries, meta, weeks = 8) {
+  const perTask = new Map();
+  for (const e of entries) {
+    const info = perTask.get(e.taskId) || { createdAt: null, startedAt: null, doneAt: null, severity: e.severity, deleted: false };
+    info.severity = e.severity || info.severity;
+    const status = e.changes && e.changes.status;
+    if (e.type === 'created') {
+      Object.assign(info, { createdAt: e.ts, startedAt: null, doneAt: null, deleted: false });
+      if (status && !isBacklogStatus(status.to, meta)) info.startedAt = e.ts;
+    }
+    if (e.type === 'updated' && status) {
+      if (!info.startedAt && !isBacklogStatus(status.to, meta)) info.startedAt = e.ts;
+      info.doneAt = isDoneStatus(status.to, meta) ? e.ts : null;
+    }
+    if (e.type === 'deleted') info.deleted = true;
+    if (e.type === 'restored') info.deleted = false;
+    perTask.set(e.taskId, info);
+  }
+  const bySeverity = new Map();
+  const cutoff = weekStart(new Date(Date.now() - (weeks - 1) * 7 * 86400000).toISOString());
+  const throughput = new Map();
+  for (const info of perTask.values()) {
+    if (!info.doneAt || info.deleted) continue;
+    const sev = info.severity || 'UNKNOWN';
+    const stats = bySeverity.get(sev) || { severity: sev, done: 0, lead: [], cycle: [] };
+    stats.done += 1;
+    if (info.createdAt) stats.lead.push(Date.parse(info.doneAt) - Date.parse(info.createdAt));
+    if (info.startedAt) stats.cycle.push(Date.parse(info.doneAt) - Date.parse(info.startedAt));
+    bySeverity.set(sev, stats);
+    const week = weekStart(info.doneAt);
+    if (week < cutoff) continue;
+    const row = throughput.get(week) || { week, total: 0, counts: {} };
+    row.total += 1;
+    row.counts[sev] = (row.counts[sev] || 0) + 1;
+    throughput.set(week, row);
+  }
+  const summarize = (values) => ({
+    count: values.length,
+    avg: values.length ? values.reduce((a, b) => a + b, 0) / values.length : null,
+    median: median(values),
+  });
+  return {
+    generatedAt: new Date().toISOString(),
+    severities: [...bySeverity.values()].map((s) => ({
+      severity: s.severity,
+      done: s.done,
+      leadTime: summarize(s.lead),
+      cycleTime: summarize(s.cycle),
+    })),
+    throughput: [...throughput.values()].sort((a, b) => a.week.localeCompare(b.week)),
+  };
+}
+
+// --- Archive ---------------------------------------------------------------
+// Finished tasks can be moved out of the task file into `<name>.archive.md`
+// next to it, block for block with an `Archived: <date>` field added, and
+// restored from there. Archived ids stay taken: new tasks are numbered after
+// the highest id in either file, and dependencies on archived tasks count as
+// met.
+const ARCHIVED_FIELD = 'Archived';
+
+function archivePathOf(file) {
+  return file.replace(/(\.md)?$/i, '.archive.md');
+}
+
+// Reads an archive or trash file; a missing one reads as empty.
+function readBlockFile(file, meta = {}) {
+  let text = '';
+  try {
+    text = fs.readFileSync(file, 'utf8');
+  } catch (err) {
+    if (err.code !== 'ENOENT') throw err;
+  }
+  const doc = parseDocument(text, meta);
+  return { text, doc, tasks: doc.tasks, exists: text !== '' };
+}
+
+function readArchive(board, meta = {}) {
+  return readBlockFile(board.archivePath, meta);
+}
+
+// Ids in an archive or trash file, re-read only when the file changes.
+function blockFileIds(board, file) {
+  let stat;
+  try {
+    stat = fs.statSync(file);
+  } catch (err) {
+    return new Set();
+  }
+  const key = `${stat.mtimeMs}:${stat.size}`;
+  const cached = board.idIndex.get(file);
+  if (cached && cached.key === key) return cached.ids;
+  const ids = new Set(readBlockFile(file).tasks.map((t) => t.id));
+  board.idIndex.set(file, { key, ids });
+  return ids;
+}
+
+function archivedIds(board) {
+  return blockFileIds(board, board.archivePath);
+}
+
+function nextTaskId(board, tasks) {
+  let max = tasks.reduce((m, t) => Math.max(m, t.id), 0);
+  for (const id of [...archivedIds(board), ...trashedIds(board)]) max = Math.max(max, id);
+  return max + 1;
+}
+
+// When each task last reached its done status, according to the history. A
+// task that left the board and came back keeps it.
+function doneTimes(entries, meta) {
+  const times = new Map();
+  for (const e of entries) {
+    const status = e.changes && e.changes.status;
+    if (!status || !(e.type === 'created' || e.type === 'updated')) continue;
+    if (isDoneStatus(status.to, meta)) times.set(e.taskId, e.ts);
+    else times.delete(e.taskId);
+  }
+  return times;
+}
+
+// Done tasks that have been done for more than `days` days (any, for 0).
+// Tasks the history never saw finish only qualify for 0.
+function archiveCandidates(board, days = 0) {
+  const { tasks, meta } = readTasks(board);
+  const done = tasks.filter((t) => isDoneStatus(t.status, meta) && !isActiveRun(runs.get(runKey(board.name, t.id))));
+  if (!days) return done.map((t) => t.id);
+  const times = doneTimes(readHistory(board), meta);
+  const cutoff = Date.now() - days * 86400000;
+  return done.filter((t) => times.has(t.id) && Date.parse(times.get(t.id)) < cutoff).map((t) => t.id);
+}
+
+// Moves task blocks to the end of an archive or trash file, stamped with
+// `field: value`. That file is written first; if the task file can't be
+// written afterwards it is put back, so a block is never in both files or in
+// neither.
+function moveBlocksOut(board, file, ids, field, value, source) {
+  const { text, meta } = readTasks(board);
+  const side = readBlockFile(file, meta);
+  let boardText = text;
+  let sideText = side.text;
+  for (const id of ids) {
+    if (side.tasks.some((t) => t.id === id)) throw new Error(`Task #${id} is already in ${path.basename(file)}`);
+    const doc = parseDocument(boardText, meta);
+    const entry = doc.entries.find((e) => e.task.id === id);
+    if (!entry) throw new Error(`Task #${id} not found`);
+    sideText = appendBlock(parseDocument(sideText, meta), doc.lines.slice(entry.titleIndex, entry.contentEnd));
+    const moved = parseDocument(sideText, meta);
+    const copy = moved.entries.find((e) => e.task.id === id).task;
+    sideText = updateDocument(moved, { ...copy, fields: { ...copy.fields, [field]: value } });
+    boardText = removeFromDocument(doc, id);
+  }
+  if (!ids.length) return;
+  writeFileAtomic(file, sideText);
+  try {
+    writeTasksFile(board, boardText, source);
+  } catch (err) {
+    if (side.exists) writeFileAtomic(file, side.text);
+    else fs.rmSync(file, { force: true });
+    throw err;
+  }
+}
+
+// The way back: blocks keep their id and land at the end of the task file
+// without the stamp field.
+function moveBlocksIn(board, file, ids, field, source, missing) {
+  const { text, tasks, meta } = readTasks(board);
+  const side = readBlockFile(file, meta);
+  let boardText = text;
+  let sideText = side.text;
+  for (const id of ids) {
+    if (tasks.some((t) => t.id === id)) throw new Error(`Task #${id} is already on the board`);
+    const doc = parseDocument(sideText, meta);
+    const entry = doc.entries.find((e) => e.task.id === id);
+    if (!entry) throw new Error(`Task #${id} ${missing}`);
+    boardText = appendBlock(parseDocument(boardText, meta), doc.lines.slice(entry.titleIndex, entry.contentEnd));
+    const restored = parseDocument(boardText, meta);
+    const copy = restored.entries.find((e) => e.task.id === id).task;
+    const fields = Object.fromEntries(Object.entries(copy.fields).filter(([k]) => k.toLowerCase() !== field.toLowerCase()));
+    boardText = updateDocument(restored, { ...copy, fields });
+    sideText = removeFromDocument(doc, id);
+  }
+  if (!ids.length) return;
+  writeTasksFile(board, boardText, source);
+  try {
+    if (parseDocument(sideText, meta).tasks.length) writeFileAtomic(file, sideText);
+    else fs.rmSync(file, { force: true });
+  } catch (err) {
+    writeTasksFile(board, text, source);
+    throw err;
+  }
+}
+
+function archiveTasks(board, ids, source = 'archive') {
+  const { tasks, meta } = readTasks(board);
+  const unique = [...new Set(ids)];
+  for (const id of unique) {
+    const task = tasks.find((t) => t.id === id);
+    if (!task) throw new Error(`Task #${id} not found`);
+    if (!isDoneStatus(task.status, meta)) throw new Error(`Task #${id} is not done`);
+    if (isActiveRun(runs.get(runKey(board.name, id)))) throw new Error(`Task #${id} has an active run; cancel it first`);
+  }
+  moveBlocksOut(board, board.archivePath, unique, ARCHIVED_FIELD, new Date().toISOString().slice(0, 10), source);
+  return { archived: unique };
+}
+
+function restoreTasks(board, ids, source = 'restore') {
+  const unique = [...new Set(ids)];
+  moveBlocksIn(board, board.archivePath, unique, ARCHIVED_FIELD, source, 'is not archived');
+  return { restored: unique };
+}
+
+// `archiveAfterDays` in the config archives tasks done for longer than that,
+// checked at startup and every hour.
+function autoArchive() {
+  const days = Number(loadConfig().archiveAfterDays);
+  if (!(days > 0)) return;
+  for (const board of boards.values()) {
+    withTaskLock(() => {
+      const ids = archiveCandidates(board, days);
+      if (!ids.length) return;
+      archiveTasks(board, ids, 'auto-archive');
+      console.log(`[taskboard] archived ${ids.map((id) => `#${id}`).join(', ')} from ${board.file}`);
+    }).catch((err) => console.error(`[taskboard] auto-archive of ${board.file} failed`, err.message));
+  }
+}
+
+// --- Trash -----------------------------------------------------------------
+// Deleting a task moves its block to `<name>.trash.md`, stamped with a
+// `Deleted: <date>` field, so it can be brought back with its id. Trashed ids
+// stay taken until the trash is emptied.
+const DELETED_FIELD = 'Deleted';
+
+function trashPathOf(file) {
+  return file.replace(/(\.md)?$/i, '.trash.md');
+}
+
+function readTrash(board, meta = {}) {
+  return readBlockFile(board.trashPath, meta);
+}
+
+function trashedIds(board) {
+  return blockFileIds(board, board.trashPath);
+}
+
+function undeleteTasks(board, ids, source = 'restore') {
+  const unique = [...new Set(ids)];
+  moveBlocksIn(board, board.trashPath, unique, DELETED_FIELD, source, 'is not in the trash');
+  return { restored: unique };
+}
+
+// Deletes trashed tasks for good: the given ids, or all of them.
+function emptyTrash(board, ids = null) {
+  const { meta } = readTasks(board);
+  const trash = readTrash(board, meta);
+  const purged = ids ? [...new Set(ids)] : trash.tasks.map((t) => t.id);
+  let text = trash.text;
+  for (const id of purged) {
+    if (!trash.tasks.some((t) => t.id === id)) throw new Error(`Task #${id} is not in the trash`);
+    text = removeFromDocument(parseDocument(text, meta), id);
+  }
+  if (!purged.length) return { purged };
+  if (parseDocument(text, meta).tasks.length) writeFileAtomic(board.trashPath, text);
+  else fs.rmSync(board.trashPath, { force: true });
+  return { purged };
+}
+
+// --- Undo ------------------------------------------------------------------
+// Changes made through the server are logged per board as the contents of
+// each file they touched (task files, archives, trash) before and after, so
+// undoing one writes the old contents back and redoing it the new ones. Runs
+// a change queued are cancelled when it is undone; redoing doesn't queue them
+// again. A change that touched several boards (a transfer) is one step in
+// the log of each of them. The last `undoLimit` changes are kept, in memory
+// only; once a file has been changed by something else, the steps that
+// touched it are dropped and the rest stay.
+let operationSeq = 0;
+
+function readOptional(file) {
+  try {
+    return fs.readFileSync(file, 'utf8');
+  } catch (err) {
+    if (err.code === 'ENOENT') return null;
+    throw err;
+  }
+}
+
+function boardFiles(board) {
+  return [board.path, board.archivePath, board.trashPath];
+}
+
+// Runs `fn` and logs what it changed on `board` (and on `others`, for moves
+// between boards) as one step. `label` may be a function of the result.
+function recordOperation(board, label, fn, others = []) {
+  const files = [board, ...others].flatMap(boardFiles);
+  const before = files.map(readOptional);
+  const known = new Set(runs.values());
+  const result = fn();
+  const changes = files.map((file, i) => ({ file, before: before[i], after: readOptional(file) }))
+    .filter((c) => c.before !== c.after);
+  if (!changes.length) return result;
+  operationSeq += 1;
+  const op = {
+    id: operationSeq,
+    label: typeof label === 'function' ? label(result) : label,
+    at: new Date().toISOString(),
+    changes,
+    runs: [...runs.values()].filter((r) => !known.has(r)),
+  };
+  const limit = Math.max(0, Math.floor(Number(loadConfig().undoLimit)) || 0);
+  const involved = [board, ...others.filter((b) => changes.some((c) => boardFiles(b).includes(c.file)))];
+  for (const b of involved) {
+    b.undo.push(op);
+    b.undo.splice(0, b.undo.length - limit);
+    b.redo = [];
+    announceUndo(b, 'done', op);
+  }
+  return result;
+}
+
+// Drops the logged steps that touched `file` from the given stacks of every
+// board, and returns how many distinct steps went.
+function forgetFile(file, stacks) {
+  const dropped = new Set();
+  for (const b of boards.values()) {
+    let changed = false;
+    for (const key of stacks) {
+      b[key] = b[key].filter((op) => {
+        if (!op.changes.some((c) => c.file === file)) return true;
+        dropped.add(op);
+        changed = true;
+        return false;
+      });
+    }
+    if (changed) announceUndo(b, 'cleared');
+  }
+  return dropped.size;
+}
+
+function undoSummary(board) {
+  const list = (stack) => stack.slice().reverse().map((op) => ({ id: op.id, label: op.label, at: op.at }));
+  return { undo: list(board.undo), redo: list(board.redo) };
+}
+
+function announceUndo(board, action, op = null) {
+  sendEvent(board, { type: 'undo.changed', action, label: op && op.label, ...undoSummary(board) });
+}
+
+function idList(ids) {
+  return ids.map((id) => `#${id}`).join(', ');
+}
+
+function statusChangeLabel({ oldTask, updated }, otherwise) {
+  return oldTask.status !== updated.status ? `Move #${updated.id} to ${updated.status}` : otherwise;
+}
+
+function stepOperation(board, direction) {
+  const undoing = direction === 'undo';
+  const from = undoing ? board.undo : board.redo;
+  const op = from[from.length - 1];
+  if (!op) throw new Error(`Nothing to ${direction}`);
+  const [expected, target] = undoing ? ['after', 'before'] : ['before', 'after'];
+  const changed = op.changes.find((c) => readOptional(c.file) !== c[expected]);
+  if (changed) {
+    const name = path.relative(__dirname, changed.file);
+    // A later step logged on another board (after a transfer) has to be undone there first.
+    const later = undoing && [...boards.values()].flatMap((b) => b.undo)
+      .filter((o) => o.id > op.id && o.changes.some((c) => c.file === changed.file))
+      .sort((a, b) => b.id - a.id)[0];
+    if (later && readOptional(changed.file) === later.changes.find((c) => c.file === changed.file).after) {
+      const where = [...boards.values()].find((b) => b.undo.includes(later));
+      throw conflictError(`${name} has changed since "${op.label}"; undo "${later.label}" on ${where.name} first`);
+    }
+    const dropped = forgetFile(changed.file, undoing ? ['undo', 'redo'] : ['redo']);
+    throw conflictError(`${name} has changed since "${op.label}"; ${dropped} change(s) to it were dropped from the undo history`);
+  }
+  if (undoing) {
+    for (const run of op.runs) {
+      if (isActiveRun(run) && runs.get(runKey(run.board, run.taskId)) === run) cancelRun(boards.get(run.board), run.taskId);
+    }
+  }
+  for (const c of op.changes) {
+    const owner = [...boards.values()].find((b) => b.path === c.file);
+    if (owner) writeTasksFile(owner, c[target], direction);
+    else if (c[target] === null) fs.rmSync(c.file, { force: true });
+    else writeFileAtomic(c.file, c[target]);
+  }
+  for (const b of boards.values()) {
+    const stack = undoing ? b.undo : b.redo;
+    if (!stack.includes(op)) continue;
+    stack.splice(stack.indexOf(op), 1);
+    (undoing ? b.redo : b.undo).push(op);
+    announceUndo(b, undoing ? 'undone' : 'redone', op);
+  }
+  return { label: op.label, ...undoSummary(board) };
+}
+
+// --- Git -------------------------------------------------------------------
+// All optional and off by default. `taskBranches: "branch"` checks out
+// `task/<id>-<slug>` in the working tree before a run starts; "worktree" gives
+// the run its own checkout of that branch under `worktreeDir` instead, so
+// parallel runs don't collide. `autoCommit` commits the task file after each
+// status change made on the board. The task modal lists the commits whose
+// message mentions the task's `#<id>`.
+const TASK_BRANCH_MODES = ['off', 'branch', 'worktree'];
+const GIT_TIMEOUT_MS = 15000;
+const COMMIT_FIELDS = ['hash', 'short', 'author', 'date', 'subject', 'refs'];
+const COMMIT_FORMAT = ['%H', '%h', '%an', '%aI', '%s', '%D'].join('%x1f');
+
+function git(cwd, args, { input, env } = {}) {
+  return new Promise((resolve, reject) => {
+    const child = execFile('git', args, { cwd, env: env && { ...process.env, ...env }, encoding: 'utf8', timeout: GIT_TIMEOUT_MS }, (err, stdout, stderr) => {
+      if (!err) return resolve(stdout);
+      const detail = String(stderr || '').trim().split('\n').pop() || err.message;
+      reject(new Error(`git ${args[0]} failed: ${detail}`));
+    });
+    // The callback reports a git that exits before reading its input.
+    child.stdin.on('error', () => {});
+    child.stdin.end(input);
+  });
+}
+
+// Commands that touch the index or the working tree (checkouts, commits) run
+// one at a time, like writes to the task files.
+let gitLock = Promise.resolve();
+function withGitLock(fn) {
+  const run = gitLock.then(fn);
+  gitLock = run.catch(() => {});
+  return run;
+}
+
+// The repository holding a board's task file, or null outside of one.
+async function gitRoot(board) {
+  try {
+    return (await git(path.dirname(board.path), ['rev-parse', '--show-toplevel'])).trim();
+  } catch (err) {
+    return null;
+  }
+}
+
+async function requireGitRoot(board) {
+  const root = await gitRoot(board);
+  if (!root) throw new Error(`${board.file} is not in a git repository`);
+  return root;
+}
+
+function branchSlug(title) {
+  return String(title).toLowerCase().replace(/[^a-z0-9]+/g, '-').slice(0, 40)
+    .replace(/^-+|-+$/g, '') || 'task';
+}
+
+// Tasks of boards other than the first get the board name in their branch,
+// since ids repeat between boards. A task keeps the branch it got first, even
+// after being renamed.
+async function taskBranch(root, board, id, title) {
+  const prefix = board === defaultBoard() ? `task/${id}-` : `task/${board.name}/${id}-`;
+  const existing = (await git(root, ['branch', '--list', '--format=%(refname:short)', `${prefix}*`])).split('\n').filter(Boolean);
+  return existing[0] || (title === undefined ? null : `${prefix}${branchSlug(title)}`);
+}
+
+function worktreeRoot(root, cfg) {
+  return cfg.worktreeDir ? path.resolve(root, cfg.worktreeDir) : path.join(path.dirname(root), `${path.basename(root)}-worktrees`);
+}
+
+// Gets the run's branch (and worktree) ready and sets `run.workspace` to where
+// the run works, or null with taskBranches off. Set under the git lock, so
+// the next run's check sees it.
+async function prepareWorkspace(run, cfg) {
+  const mode = cfg.taskBranches || 'off';
+  run.workspace = null;
+  if (mode === 'off') return;
+  if (!TASK_BRANCH_MODES.includes(mode)) throw new Error(`taskBranches must be one of ${TASK_BRANCH_MODES.join(', ')}`);
+  await withGitLock(async () => {
+    const board = boards.get(run.board);
+    const root = await requireGitRoot(board);
+    const branch = await taskBranch(root, board, run.taskId, run.title);
+    const exists = (await git(root, ['branch', '--list', branch])).trim() !== '';
+    const offset = path.relative(root, path.dirname(board.path));
+    if (mode === 'branch') {
+      const other = [...runs.values()].find((r) => r !== run && r.state === 'running' && r.workspace && !r.workspace.worktree && r.workspace.branch !== branch);
+      if (other) throw new Error(`the working tree is on ${other.workspace.branch} for #${other.taskId}; use taskBranches "worktree" for parallel runs`);
+      await git(root, exists ? ['checkout', branch] : ['checkout', '-b', branch]);
+      run.workspace = { branch, worktree: null, cwd: path.join(root, offset) };
+      return;
+    }
+    const dir = path.join(worktreeRoot(root, cfg), branch.replace(/^task\//, '').replace(/\//g, '-'));
+    if (!fs.existsSync(dir)) await git(root, exists ? ['worktree', 'add', dir, branch] : ['worktree', 'add', '-b', branch, dir]);
+    run.workspace = { branch, worktree: dir, cwd: path.join(dir, offset) };
+  });
+}
+
+// Uncommitted changes where each running task's run works.
+async function workspaceStatus(board) {
+  const status = {};
+  const active = [...runs.values()].filter((run) => run.board === board.name && run.state === 'running' && run.workspace);
+  await Promise.all(active.map(async (run) => {
+    const { workspace } = run;
+    try {
+      const changed = (await git(workspace.cwd, ['status', '--porcelain'])).split('\n').filter(Boolean).map((l) => l.slice(3));
+      status[run.taskId] = { ...workspace, changed };
+    } catch (err) {
+      status[run.taskId] = { ...workspace, error: err.message };
+    }
+  }));
+  return status;
+}
+
+// Commits on any branch whose message mentions `#<id>`, newest first.
+async function taskCommits(board, id, limit = 50) {
+  const root = await gitRoot(board);
+  if (!root) return { repository: null, branch: null, commits: [] };
+  const out = await git(root, ['log', '--all', '-E', `--grep=#${id}([^0-9]|$)`, `-n${limit}`, `--format=${COMMIT_FORMAT}`]);
+  const commits = out.split('\n').filter(Boolean).map((line) => Object.fromEntries(line.split('\x1f').map((v, i) => [COMMIT_FIELDS[i], v])));
+  return { repository: root, branch: await taskBranch(root, board, id), commits };
+}
+
+// Commits `text` as the task file, leaving anything else staged or modified
+// alone. The commit is built in a scratch index, so it holds the file as it
+// was when the status changed even if later edits have landed since.
+function commitTaskFile(board, text, message) {
+  return withGitLock(async () => {
+    const root = await requireGitRoot(board);
+    const file = path.relative(root, board.path).split(path.sep).join('/');
+    const index = path.resolve(root, (await git(root, ['rev-parse', '--git-path', 'taskboard-index'])).trim());
+    const env = { GIT_INDEX_FILE: index };
+    try {
+      const blob = (await git(root, ['hash-object', '-w', '--stdin'], { input: text })).trim();
+      const head = await git(root, ['rev-parse', '--verify', '-q', 'HEAD']).catch(() => null);
+      await git(root, head ? ['read-tree', 'HEAD'] : ['read-tree', '--empty'], { env });
+      await git(root, ['update-index', '--add', '--cacheinfo', `100644,${blob},${file}`], { env });
+      if (head && !(await git(root, ['diff', '--cached', '--name-only', 'HEAD', '--', file], { env })).trim()) return false;
+      await git(root, ['commit', '-q', '-m', message], { env });
+    } finally {
+      fs.rmSync(index, { force: true });
+    }
+    // Bring the real index up to date with the new commit for this file only.
+    await git(root, ['reset', '-q', '--', file]);
+    return true;
+  });
+}
+
+async function commitStatusChange(board, text, oldTask, updated) {
+  const message = `Move #${updated.id} to ${updated.status}: ${updated.title}\n\n${oldTask.status} -> ${updated.status} on the ${board.name} board.`;
+  try {
+    if (await commitTaskFile(board, text, message)) console.log(`[taskboard] committed ${board.file} (#${updated.id} -> ${updated.status})`);
+  } catch (err) {
+    console.error(`[taskboard] auto-commit of ${board.file} failed`, err.message);
+  }
+}
+
+// --- Run queue -------------------------------------------------------------
+// One record per task (the latest run); child processes are kept separately so
+// the records stay plain JSON for GET /runs.
+const runs = new Map();
+const runProcesses = new Map();
+const runQueue = [];
+
+// Task ids are only unique within a board.
+function runKey(boardName, taskId) {
+  return `${boardName}#${taskId}`;
+}
+
+function isActiveRun(run) {
+  return !!run && (run.state === 'queued' || run.state === 'running');
+}
+
+function maxConcurrentRuns(cfg) {
+  const n = Math.floor(Number(cfg.maxConcurrentRuns));
+  return n >= 1 ? n : DEFAULT_CONFIG.maxConcurrentRuns;
+}
+
+function appendRunLog(logPath, line) {
+  try {
+    fs.appendFileSync(logPath, `[${new Date().toISOString()}] ${line}\n`);
+  } catch (err) {
+    console.error('[taskboard] unable to write log file', logPath, err.message);
+  }
+}
+
+function listRuns(board) {
+  return [...runs.values()].filter((run) => run.board === board.name).map((run) => ({ ...run }));
+}
+
+function enqueueRun(board, task, reason, { rule, command }) {
+  const existing = runs.get(runKey(board.name, task.id));
+  if (isActiveRun(existing)) return existing;
+  const run = {
+    board: board.name,
+    taskId: task.id,
+    title: task.title,
+    reason,
+    rule,
+    command,
+    state: 'queued',
+    attempt: existing ? existing.attempt + 1 : 1,
+    pid: null,
+    queuedAt: new Date().toISOString(),
+    logFile: null,
+    startedAt: null,
+    endedAt: null,
+    exitCode: null,
+    signal: null,
+    error: null,
+    workspace: null,
+  };
+  runs.set(runKey(board.name, task.id), run);
+  runQueue.push(run);
+  appendRunLog(resolveLogPath(loadConfig()), `queued #${task.id} ${rule} (${reason})`);
+  sendEvent(board, { type: 'run.queued', run });
+  pumpRunQueue();
+  return run;
+}
+
+function pumpRunQueue() {
+  const limit = maxConcurrentRuns(loadConfig());
+  // Counts runs still setting up their workspace, which have no process yet.
+  while (runQueue.length && [...runs.values()].filter((r) => r.state === 'running').length < limit) {
+    startRun(nextQueuedRun());
+  }
+}
+
+// Queued runs start in board order, so moving a card up its column moves its
+// run up the queue; runs of tasks that are gone keep their place at the end.
+function nextQueuedRun() {
+  const position = (run) => {
+    try {
+      const board = boards.get(run.board);
+      const index = board ? readTasks(board).tasks.findIndex((t) => t.id === run.taskId) : -1;
+      return index === -1 ? Infinity : index;
+    } catch (err) {
+      return Infinity;
+    }
+  };
+  let best = 0;
+  let bestPosition = position(runQueue[0]);
+  for (let i = 1; i < runQueue.length; i += 1) {
+    const p = position(runQueue[i]);
+    if (p < bestPosition) [best, bestPosition] = [i, p];
+  }
+  return runQueue.splice(best, 1)[0];
+}
+
+async function startRun(run) {
+  const config = loadConfig();
+  const [cmd, ...args] = run.command;
+  const logPath = resolveLogPath(config);
+  const runLogDir = resolveRunLogDir(config);
+  run.state = 'running';
+  run.startedAt = new Date().toISOString();
+  run.logFile = path.join(runLogDir, `task-${run.taskId}-${run.startedAt.replace(/[:.]/g, '-')}.log`);
+  appendRunLog(logPath, `launch #${run.taskId} ${run.rule} (${run.reason}) log=${run.logFile}`);
+
+  let out;
+  try {
+    fs.mkdirSync(runLogDir, { recursive: true });
+    out = fs.openSync(run.logFile, 'a');
+  } catch (err) {
+    console.error('[taskboard] unable to open log file', run.logFile, err.message);
+    appendRunLog(logPath, `log open failed: ${err.message}`);
+    finishRun(run, { error: `log open failed: ${err.message}` });
+    return;
+  }
+  appendRunLog(run.logFile, `launch #${run.taskId} ${run.rule} (${run.reason}): ${run.command.join(' ')}`);
+
+  try {
+    await prepareWorkspace(run, config);
+    if (run.cancelRequested) {
+      appendRunLog(run.logFile, 'cancelled before it started');
+      finishRun(run, {});
+      return;
+    }
+    if (run.workspace) appendRunLog(run.logFile, `working on ${run.workspace.branch} in ${run.workspace.cwd}`);
+    const child = spawn(cmd, args, {
+      cwd: run.workspace ? run.workspace.cwd : undefined,
+      env: { ...process.env, TASKBOARD_TASK_ID: String(run.taskId), TASKBOARD_FILE: boards.get(run.board).path },
+      detached: true,
+      stdio: ['ignore', out, out],
+    });
+    run.pid = child.pid || null;
+    runProcesses.set(runKey(run.board, run.taskId), child);
+    child.on('error', (err) => {
+      appendRunLog(logPath, `#${run.taskId} spawn error: ${err.message}`);
+      appendRunLog(run.logFile, `spawn error: ${err.message}`);
+      finishRun(run, { error: err.message });
+    });
+    child.on('exit', (code, signal) => {
+      appendRunLog(logPath, `#${run.taskId} exit code=${code} signal=${signal || 'none'}`);
+      appendRunLog(run.logFile, `exit code=${code} signal=${signal || 'none'}`);
+      finishRun(run, { code, signal });
+    });
+    child.unref();
+    console.log(`[taskboard] spawned ${run.rule} for #${run.taskId} (${run.reason}) pid=${child.pid}`);
+    sendEvent(boards.get(run.board), { type: 'run.started', run });
+  } catch (err) {
+    console.error(`[taskboard] failed to start ${run.rule}`, err.message);
+    appendRunLog(logPath, `#${run.taskId} start failed: ${err.message}`);
+    appendRunLog(run.logFile, `start failed: ${err.message}`);
+    finishRun(run, { error: err.message });
+  } finally {
+    try {
+      fs.closeSync(out);
+    } catch (err) {
+      console.error('[taskboard] failed closing log fd', err.message);
+    }
+  }
+}
+
+// 'error' and 'exit' can both fire for the same child; only the first counts.
+function finishRun(run, { code = null, signal = null, error = null }) {
+  if (run.state !== 'running') return;
+  runProcesses.delete(runKey(run.board, run.taskId));
+  run.endedAt = new Date().toISOString();
+  run.exitCode = code;
+  run.signal = signal;
+  run.error = error;
+  if (run.cancelRequested) run.state = 'cancelled';
+  else run.state = code === 0 && !error ? 'succeeded' : 'failed';
+  delete run.cancelRequested;
+  if (run.state === 'failed') markRunFailure(run);
+  sendEvent(boards.get(run.board), { type: 'run.finished', run });
+  pumpRunQueue();
+}
+
+// Moves the task to the configured failure status and leaves a note in its
+// description so the failure is visible on the board, not just in the log.
+function markRunFailure(run) {
+  const { failureStatus } = loadConfig();
+  if (!failureStatus) return;
+  withTaskLock(() => recordRunFailure(run, failureStatus));
+}
+
+function recordRunFailure(run, failureStatus) {
+  const outcome = run.error ? `error: ${run.error}` : `exit code ${run.exitCode}${run.signal ? `, signal ${run.signal}` : ''}`;
+  const note = `Autorun failed (${outcome}) at ${run.endedAt}. Log: ${path.relative(__dirname, run.logFile || '') || 'n/a'}`;
+  try {
+    const board = boards.get(run.board);
+    const { tasks, meta } = readTasks(board);
+    const task = tasks.find((t) => t.id === run.taskId);
+    if (!task) return;
+    const desc = task.desc ? `${task.desc}\n\n${note}` : note;
+    // A board that doesn't declare the failure status keeps the task where it is.
+    const declared = meta.statuses && meta.statuses.length
+      ? meta.statuses.find((s) => normalizeStatus(s) === normalizeStatus(failureStatus))
+      : failureStatus;
+    updateTask(board, run.taskId, declared ? { status: declared, desc } : { desc }, 'autorun');
+    if (declared) console.log(`[taskboard] run for #${run.taskId} failed, moved to ${declared}`);
+    else console.warn(`[taskboard] run for #${run.taskId} failed; ${board.file} has no "${failureStatus}" status to move it to`);
+  } catch (err) {
+    console.error('[taskboard] unable to record run failure', err.message);
+  }
+}
+
+// Streams a run's log file over SSE: everything written so far, then new
+// output as it lands, then an 'end' event once the run has finished.
+function streamRunLog(req, res, run) {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+  });
+  res.write('\n');
+  const decoder = new StringDecoder('utf8');
+  const send = (data) => res.write(`data: ${JSON.stringify(data)}\n\n`);
+  let offset = 0;
+  let lastState = null;
+  let timer = null;
+  const stop = () => {
+    clearInterval(timer);
+    timer = null;
+  };
+  const pump = () => {
+    if (run.logFile) {
+      try {
+        const fd = fs.openSync(run.logFile, 'r');
+        try {
+          const size = fs.fstatSync(fd).size;
+          if (size > offset) {
+            const buf = Buffer.alloc(size - offset);
+            fs.readSync(fd, buf, 0, buf.length, offset);
+            offset = size;
+            send({ type: 'chunk', text: decoder.write(buf) });
+          }
+        } finally {
+          fs.closeSync(fd);
+        }
+      } catch (err) {
+        if (err.code !== 'ENOENT') console.error('[taskboard] log stream error', err.message);
+      }
+    }
+    if (run.state !== lastState) {
+      lastState = run.state;
+      send({ type: 'state', run: { ...run } });
+    }
+    if (!isActiveRun(run)) {
+      send({ type: 'end', run: { ...run } });
+      stop();
+      res.end();
+    }
+  };
+  timer = setInterval(pump, 1000);
+  req.on('close', stop);
+  pump();
+}
+
+function cancelRun(board, taskId) {
+  const run = runs.get(runKey(board.name, taskId));
+  if (!run) throw new Error('Run not found');
+  if (run.state === 'queued') {
+    runQueue.splice(runQueue.indexOf(run), 1);
+    run.state = 'cancelled';
+    run.endedAt = new Date().toISOString();
+    appendRunLog(resolveLogPath(loadConfig()), `cancelled queued #${taskId} ${run.rule}`);
+    sendEvent(board, { type: 'run.finished', run });
+  } else if (run.state === 'running') {
+    run.cancelRequested = true;
+    appendRunLog(resolveLogPath(loadConfig()), `cancel requested for #${taskId} ${run.rule} pid=${run.pid}`);
+    const child = runProcesses.get(runKey(board.name, taskId));
+    try {
+      // Detached children lead their own process group; kill the whole group.
+      if (!run.pid) throw new Error('no pid');
+      process.kill(-run.pid, 'SIGTERM');
+    } catch (err) {
+      if (child) child.kill('SIGTERM');
+    }
+  } else {
+    throw new Error('Run is not active');
+  }
+  return { ...run };
+}
+
+function retryRun(board, taskId) {
+  const run = runs.get(runKey(board.name, taskId));
+  if (!run) throw new Error('Run not found');
+  if (isActiveRun(run)) throw new Error('Run is already active');
+  const task = readTasks(board).tasks.find((t) => t.id === taskId);
+  if (!task) throw new Error('Task not found');
+  return { ...enqueueRun(board, task, 'retry', { rule: run.rule, command: run.command }) };
+}
+
+// --- Request guards --------------------------------------------------------
+// The board listens on localhost, but any page open in the browser can still
+// send requests to it. Mutating requests therefore need the per-install token
+// (sent by the UI as a SameSite cookie), a JSON content type (which forces a
+// CORS preflight we never answer) and, when present, a matching Origin. Host
+// is checked on every request to shut out DNS rebinding.
+const TOKEN_PATH = path.join(__dirname, '.taskboard-token');
+const TOKEN_COOKIE = 'taskboard_token';
+let authToken = null;
+
+function loadToken() {
+  try {
+    authToken = fs.readFileSync(TOKEN_PATH, 'utf8').trim();
+  } catch (err) {
+    if (err.code !== 'ENOENT') throw err;
+  }
+  if (!authToken) {
+    authToken = crypto.randomBytes(24).toString('hex');
+    fs.writeFileSync(TOKEN_PATH, `${authToken}\n`, { mode: 0o600 });
+    console.log(`[taskboard] generated access token in ${path.basename(TOKEN_PATH)}`);
+  }
+  return authToken;
+}
+
+function allowedHosts(cfg) {
+  return ['127.0.0.1', 'localhost', '[::1]']
+    .map((h) => `${h}:${PORT}`)
+    .concat((cfg.allowedHosts || []).map((h) => String(h).toLowerCase()));
+}
+
+function readCookie(req, name) {
+  for (const part of String(req.headers.cookie || '').split(';')) {
+    const [key, ...rest] = part.trim().split('=');
+    if (key === name) return decodeURIComponent(rest.join('='));
+  }
+  return null;
+}
+
+function tokenMatches(candidate) {
+  if (!candidate || !authToken) return false;
+  const a = Buffer.from(String(candidate));
+  const b = Buffer.from(authToken);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+function checkHost(req, cfg) {
+  const host = String(req.headers.host || '').toLowerCase();
+  if (!allowedHosts(cfg).includes(host)) throw requestError(403, `Host ${host || '(none)'} is not allowed`);
+}
+
+function checkMutation(req, cfg) {
+  const origin = req.headers.origin;
+  if (origin && origin !== 'null') {
+    const host = origin.replace(/^https?:\/\//i, '').toLowerCase();
+    if (!allowedHosts(cfg).includes(host)) throw requestError(403, `Origin ${origin} is not allowed`);
+  } else if (origin === 'null') {
+    throw requestError(403, 'Opaque origins are not allowed');
+  }
+  const bearer = String(req.headers.authorization || '').match(/^Bearer\s+(\S+)$/i);
+  const token = req.headers['x-taskboard-token'] || (bearer && bearer[1]) || readCookie(req, TOKEN_COOKIE);
+  if (!tokenMatches(token)) throw requestError(401, 'Missing or invalid access token');
+  const type = String(req.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+  if (type !== 'application/json') throw requestError(415, 'Content-Type must be application/json');
+  const length = Number(req.headers['content-length']);
+  if (length > cfg.maxBodyBytes) throw requestError(413, `Request body exceeds ${cfg.maxBodyBytes} bytes`);
+}
+
+// Bodies sent without a Content-Length are counted as they arrive; once over
+// the limit the route's own handlers are dropped and the connection closed.
+function limitBody(req, res, limit) {
+  let size = 0;
+  req.on('data', (chunk) => {
+    size += chunk.length;
+    if (size <= limit || res.headersSent) return;
+    req.removeAllListeners('end');
+    res.writeHead(413, { 'Content-Type': 'application/json', Connection: 'close' });
+    res.end(JSON.stringify({ error: `Request body exceeds ${limit} bytes` }));
+  });
+}
+
+// Over HTTP, launch commands may only name an allowlisted program (or keep the
+// one already configured) and pass plain flags, so a request cannot point
+// autorun at an arbitrary binary. The config file itself is not restricted.
+const SAFE_FLAG = /^--?[A-Za-z0-9][\w-]*(=[\w.,:/@+-]*)?$/;
+
+function validateClaudeBin(value, cfg) {
+  const { cmd, args } = parseCmd(value);
+  const current = parseCmd(cfg.claudeBin).cmd;
+  if (!(cfg.commandAllowlist || []).includes(cmd) && cmd !== current) {
+    throw new Error(`claudeBin must run one of: ${(cfg.commandAllowlist || []).join(', ') || '(none)'}`);
+  }
+  const bad = args.find((a) => !SAFE_FLAG.test(a));
+  if (bad) throw new Error(`claudeBin arguments must be plain flags, got "${bad}"`);
+  return String(value).trim();
+}
+
+function validateRuleCommands(rules, cfg) {
+  const known = new Set((cfg.rules || []).map((r) => r.command));
+  for (const rule of rules) {
+    if (known.has(rule.command)) continue;
+    const [program] = renderCommand(rule.command, { id: 0, title: '', status: '', severity: '' }, null, { claudeBin: 'claude' });
+    const viaClaude = /^\{claude\}(\s|$)/.test(rule.command);
+    if (!viaClaude && !(cfg.commandAllowlist || []).includes(program)) {
+      throw new Error(`Rule "${rule.name || rule.command}" must start with {claude} or an allowlisted program`);
+    }
+  }
+  return rules;
+}
+
+// Relative paths only, and inside the board's directory.
+function validateLocalPath(key, value) {
+  const target = String(value).trim();
+  const resolved = path.resolve(__dirname, target);
+  if (path.isAbsolute(target) || !resolved.startsWith(__dirname + path.sep)) {
+    throw new Error(`${key} must be a relative path inside the board directory`);
+  }
+  return target;
+}
+
+// --- HTTP server -----------------------------------------------------------
+async function handleRequest(req, res) {
+  console.log('[taskboard] request', req.method, req.url);
+  let pathname = url.parse(req.url).pathname || '';
+
+  try {
+    const cfg = loadConfig();
+    checkHost(req, cfg);
+    if (req.method !== 'GET' && req.method !== 'HEAD') {
+      checkMutation(req, cfg);
+      limitBody(req, res, cfg.maxBodyBytes);
+    }
+  } catch (err) {
+    console.warn(`[taskboard] refused ${req.method} ${pathname}: ${err.message}`);
+    res.writeHead(err.statusCode || 400, { 'Content-Type': 'application/json', Connection: 'close' });
+    res.end(JSON.stringify({ error: err.message }));
+    return;
+  }
+
+  // `/b/<board>/...` addresses one board; unprefixed routes use the first.
+  let board = defaultBoard();
+  const scoped = pathname.match(/^\/b\/([^/]+)(\/.*)$/);
+  if (scoped) {
+    let name;
+    try {
+      name = decodeURIComponent(scoped[1]);
+    } catch (err) {
+      res.writeHead(400, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: 'Invalid board name' }));
+      return;
+    }
+    board = boards.get(name);
+    if (!board) {
+      res.writeHead(404, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: 'Board not found' }));
+      return;
+    }
+    pathname = scoped[2];
+  }
+
+  if (pathname === '/boards' && req.method === 'GET') {
+    try {
+      const list = [...boards.values()].map((b) => ({ name: b.name, file: b.file, tasks: readTasks(b).tasks.length }));
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ boards: list }));
+    } catch (err) {
+      res.writeHead(500, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: err.message }));
+    }
+    return;
+  }
+
+  if (pathname === '/data') {
+    try {
+      const { tasks, meta, revision } = readTasks(board);
+      const { q } = url.parse(req.url, true).query;
+      let result = { tasks: annotateDependencies(tasks, meta, archivedIds(board)), hidden: {} };
+      if (q) {
+        try {
+          result = filterTasks(result.tasks, meta, q);
+        } catch (err) {
+          throw requestError(400, err.message);
+        }
+      }
+      console.log(`[taskboard] GET /data -> ${result.tasks.length} of ${tasks.length} tasks`);
+      res.writeHead(200, { 'Content-Type': 'application/json', ETag: `"${revision}"` });
+      res.end(JSON.stringify({ tasks: result.tasks, hidden: result.hidden, meta, revision, eventId: lastEventId(), undo: undoSummary(board) }));
+    } catch (err) {
+      if (!err.statusCode) console.error('[taskboard] /data error', err);
+      res.writeHead(err.statusCode || 500, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: err.message }));
+    }
+    return;
+  }
+
+  if (pathname === '/events') {
+    console.log('[taskboard] client connected to /events');
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+    });
+    res.write('retry: 3000\n\n');
+    const since = req.headers['last-event-id'] || url.parse(req.url, true).query.lastEventId;
+    if (since) {
+      const missed = eventsSince(board, since);
+      if (missed) missed.forEach((e) => res.write(formatEvent(e)));
+      else res.write(formatEvent({ id: lastEventId(), board: board.name, type: 'resync' }));
+    }
+    clients.set(res, board.name);
+    req.on('close', () => clients.delete(res));
+    return;
+  }
+
+  if (pathname === '/update' && req.method === 'POST') {
+    let body = '';
+    req.on('data', (chunk) => (body += chunk));
+    req.on('end', () => withTaskLock(() => {
+      try {
+        checkRevision(req, board);
+        const payload = JSON.parse(body || '{}');
+        const id = Number(payload.id);
+        if (!id) throw new Error('Invalid id');
+        const { tasks, meta } = readTasks(board);
+        const task = tasks.find((t) => t.id === id) || {};
+        const updates = {};
+        if (payload.status) updates.status = declaredValue('status', payload.status, meta.statuses, task.status);
+        if (payload.severity) updates.severity = declaredValue('severity', payload.severity, meta.severities, task.severity);
+        if (payload.title !== undefined) {
+          updates.title = String(payload.title).replace(/^\s*\d+\.\s*/, '').trim();
+          if (!updates.title) throw new Error('Title is required');
+        }
+        if (payload.desc !== undefined) updates.desc = String(payload.desc || '');
+        if (payload.fields !== undefined) updates.fields = payload.fields;
+        const result = recordOperation(board, (r) => statusChangeLabel(r, `Edit #${id}`), () => {
+          const updated = updateTask(board, id, updates);
+          triggerAutomation(board, updated.oldTask, updated.updated);
+          return updated;
+        });
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        const response = { ok: true, revision: currentRevision(board) };
+        if (result.warning) response.warning = result.warning;
+        res.end(JSON.stringify(response));
+      } catch (err) {
+        sendTaskError(res, err, board);
+      }
+    }));
+    return;
+  }
+
+  if (pathname === '/reorder' && req.method === 'POST') {
+    let body = '';
+    req.on('data', (chunk) => (body += chunk));
+    req.on('end', () => withTaskLock(() => {
+      try {
+        checkRevision(req, board);
+        const payload = JSON.parse(body || '{}');
+        const id = Number(payload.id);
+        if (!id) throw new Error('Invalid id');
+        const before = payload.before === null || payload.before === undefined ? null : Number(payload.before);
+        if (before !== null && !before) throw new Error('Invalid before id');
+        const { tasks, meta } = readTasks(board);
+        const task = tasks.find((t) => t.id === id) || {};
+        const status = payload.status ? declaredValue('status', payload.status, meta.statuses, task.status) : undefined;
+        const result = recordOperation(board, (r) => statusChangeLabel(r, `Reorder #${id}`), () => {
+          const moved = reorderTask(board, id, { status, before });
+          if (moved.updated !== moved.oldTask) triggerAutomation(board, moved.oldTask, moved.updated);
+          return moved;
+        });
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        const response = { ok: true, revision: currentRevision(board) };
+        if (result.warning) response.warning = result.warning;
+        res.end(JSON.stringify(response));
+      } catch (err) {
+        sendTaskError(res, err, board);
+      }
+    }));
+    return;
+  }
+
+  if (pathname === '/create' && req.method === 'POST') {
+    let body = '';
+    req.on('data', (chunk) => (body += chunk));
+    req.on('end', () => withTaskLock(() => {
+      try {
+        checkRevision(req, board);
+        const payload = JSON.parse(body || '{}');
+        const { meta } = readTasks(board);
+        const result = recordOperation(board, (r) => `Create #${r.id}`, () => createTask(board, {
+          title: payload.title,
+          severity: payload.severity && declaredValue('severity', payload.severity, meta.severities),
+          status: payload.status && declaredValue('status', payload.status, meta.statuses),
+          desc: payload.desc,
+          fields: payload.fields,
+        }));
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ ok: true, id: result.id, revision: currentRevision(board) }));
+      } catch (err) {
+        sendTaskError(res, err, board);
+      }
+    }));
+    return;
+  }
+
+  if (pathname === '/subtask' && req.method === 'POST') {
+    let body = '';
+    req.on('data', (chunk) => (body += chunk));
+    req.on('end', () => withTaskLock(() => {
+      try {
+        checkRevision(req, board);
+        const payload = JSON.parse(body || '{}');
+        const id = Number(payload.id);
+        if (!id) throw new Error('Invalid id');
+        const index = Number(payload.index);
+        if (!Number.isInteger(index) || index < 0) throw new Error('Invalid subtask index');
+        const subtask = recordOperation(board, (r) => `${r.done ? 'Tick' : 'Untick'} "${r.text}" on #${id}`, () => setSubtask(board, id, index, payload.done));
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ ok: true, subtask, revision: currentRevision(board) }));
+      } catch (err) {
+        sendTaskError(res, err, board);
+      }
+    }));
+    return;
+  }
 
-  const { cmd: claudeBin, args: extraArgs } = parseCmd(config.claudeBin || DEFAULT_CONFIG.claudeBin);
-  const logPath = resolveLogPath(config);
-  const stamp = new Date().toISOString();
-  fs.appendFileSync(logPath, `[${stamp}] launch /do-task ${updated.id} (${oldTask.status} -> ${updated.status})\n`);
+  if (pathname === '/delete' && req.method === 'POST') {
+    let body = '';
+    req.on('data', (chunk) => (body += chunk));
+    req.on('end', () => withTaskLock(() => {
+      try {
+        checkRevision(req, board);
+        const payload = JSON.parse(body || '{}');
+        const id = Number(payload.id);
+        if (!id) throw new Error('Invalid id');
+        recordOperation(board, `Delete #${id}`, () => deleteTask(board, id));
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ ok: true, revision: currentRevision(board) }));
+      } catch (err) {
+        sendTaskError(res, err, board);
+      }
+    }));
+    return;
+  }
 
-  let out;
-  try {
-    out = fs.openSync(logPath, 'a');
-  } catch (err) {
-    console.error('[taskboard] unable to open log file', logPath, err.message);
-    fs.appendFileSync(logPath, `[${new Date().toISOString()}] log open failed: ${err.message}\n`);
+  if (pathname === '/transfer' && req.method === 'POST') {
+    let body = '';
+    req.on('data', (chunk) => (body += chunk));
+    req.on('end', () => withTaskLock(() => {
+      try {
+        checkRevision(req, board);
+        const payload = JSON.parse(body || '{}');
+        const id = Number(payload.id);
+        if (!id) throw new Error('Invalid id');
+        if (!payload.to || !boards.has(payload.to)) throw new Error('Unknown target board');
+        const to = boards.get(payload.to);
+        const result = recordOperation(board, `Move #${id} to ${to.name}`, () => transferTask(board, to, id), [to]);
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ ok: true, ...result, revision: currentRevision(board) }));
+      } catch (err) {
+        sendTaskError(res, err, board);
+      }
+    }));
     return;
   }
 
-  try {
-    const child = spawn(claudeBin, [...extraArgs, '/do-task', String(updated.id)], {
-      detached: true,
-      stdio: ['ignore', out, out],
-    });
-    child.on('error', (err) => {
-      fs.appendFile(logPath, `[${new Date().toISOString()}] spawn error: ${err.message}\n`, () => {});
-    });
-    child.on('exit', (code, signal) => {
-      fs.appendFile(logPath, `[${new Date().toISOString()}] exit code=${code} signal=${signal || 'none'}\n`, () => {});
-    });
-    child.unref();
-    console.log(`[taskboard] spawned Claude for #${updated.id} (${oldTask.status} -> ${updated.status}) pid=${child.pid}`);
-  } catch (err) {
-    console.error('[taskboard] failed to spawn Claude', err.message);
-    fs.appendFileSync(logPath, `[${new Date().toISOString()}] spawn threw: ${err.message}\n`);
-  } finally {
+  if (pathname === '/export' && req.method === 'GET') {
     try {
-      fs.closeSync(out);
+      const { query } = url.parse(req.url, true);
+      const format = query.format || 'json';
+      const target = EXPORT_FORMATS[format];
+      if (!target) throw requestError(400, `Unknown export format "${format}" (use ${Object.keys(EXPORT_FORMATS).join(', ')})`);
+      const { tasks, meta } = readTasks(board);
+      let list = tasks;
+      if (query.q) {
+        try {
+          list = filterTasks(tasks, meta, query.q).tasks;
+        } catch (err) {
+          throw requestError(400, err.message);
+        }
+      }
+      res.writeHead(200, {
+        'Content-Type': target.contentType,
+        'Content-Disposition': `attachment; filename="${board.name}.${target.ext}"`,
+      });
+      res.end(exportTasks(list, meta, format));
     } catch (err) {
-      console.error('[taskboard] failed closing log fd', err.message);
+      if (!err.statusCode) console.error('[taskboard] /export error', err);
+      res.writeHead(err.statusCode || 500, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: err.message }));
     }
+    return;
   }
-}
 
-// --- HTTP server -----------------------------------------------------------
-const server = http.createServer(async (req, res) => {
-  console.log('[taskboard] request', req.method, req.url);
-  const { pathname } = url.parse(req.url);
+  if (pathname === '/import' && req.method === 'POST') {
+    let body = '';
+    req.on('data', (chunk) => (body += chunk));
+    req.on('end', () => withTaskLock(() => {
+      try {
+        const payload = JSON.parse(body || '{}');
+        if (!payload.dryRun) checkRevision(req, board);
+        if (payload.data === undefined) throw new Error('data is required');
+        const result = recordOperation(board, (r) => `Import ${r.created.length} task(s)`, () => importTasks(board, payload.data, payload.format || 'json', { dryRun: !!payload.dryRun }));
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ ok: true, ...result, revision: currentRevision(board) }));
+      } catch (err) {
+        sendTaskError(res, err, board);
+      }
+    }));
+    return;
+  }
 
-  if (pathname === '/data') {
+  if (pathname === '/archive' && req.method === 'GET') {
     try {
-      const { tasks, meta } = readTasks();
-      console.log(`[taskboard] GET /data -> ${tasks.length} tasks`);
+      const { meta } = readTasks(board);
+      const { tasks } = readArchive(board, meta);
+      const { q } = url.parse(req.url, true).query;
+      let list = tasks;
+      if (q) {
+        try {
+          list = filterTasks(tasks, meta, q).tasks;
+        } catch (err) {
+          throw requestError(400, err.message);
+        }
+      }
       res.writeHead(200, { 'Content-Type': 'application/json' });
-      res.end(JSON.stringify({ tasks, meta }));
+      res.end(JSON.stringify({ file: path.relative(__dirname, board.archivePath), tasks: list, total: tasks.length }));
     } catch (err) {
-      console.error('[taskboard] /data error', err);
-      res.writeHead(500, { 'Content-Type': 'application/json' });
+      if (!err.statusCode) console.error('[taskboard] /archive error', err);
+      res.writeHead(err.statusCode || 500, { 'Content-Type': 'application/json' });
       res.end(JSON.stringify({ error: err.message }));
     }
     return;
   }
 
-  if (pathname === '/events') {
-    console.log('[taskboard] client connected to /events');
-    res.writeHead(200, {
-      'Content-Type': 'text/event-stream',
-      'Cache-Control': 'no-cache',
-      Connection: 'keep-alive',
-    });
-    res.write('\n');
-    clients.add(res);
-    req.on('close', () => clients.delete(res));
-    return;
-  }
-
-  if (pathname === '/update' && req.method === 'POST') {
+  if ((pathname === '/archive' || pathname === '/restore') && req.method === 'POST') {
     let body = '';
     req.on('data', (chunk) => (body += chunk));
-    req.on('end', () => {
+    req.on('end', () => withTaskLock(() => {
       try {
+        checkRevision(req, board);
         const payload = JSON.parse(body || '{}');
-        const id = Number(payload.id);
-        if (!id) throw new Error('Invalid id');
-        const updates = {};
-        if (payload.status) updates.status = payload.status;
-        if (payload.severity) updates.severity = payload.severity;
-        if (payload.title) updates.title = payload.title.replace(/^\s*\d+\.\s*/, '').trim();
-        if (payload.desc !== undefined) updates.desc = String(payload.desc || '');
-        const result = updateTask(id, updates);
-        sendEvent({ type: 'refresh' });
-        if (result) triggerAutomation(result.oldTask, result.updated);
+        let ids = Array.isArray(payload.ids) ? payload.ids.map(Number) : [Number(payload.id)];
+        if (pathname === '/archive' && payload.done) ids = archiveCandidates(board, Number(payload.olderThanDays) || 0);
+        else if (!ids.length || ids.some((id) => !Number.isInteger(id) || id < 1)) throw new Error('Invalid id');
+        const result = pathname === '/archive'
+          ? recordOperation(board, (r) => `Archive ${idList(r.archived)}`, () => archiveTasks(board, ids))
+          : recordOperation(board, (r) => `Restore ${idList(r.restored)}`, () => restoreTasks(board, ids));
         res.writeHead(200, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify({ ok: true }));
+        res.end(JSON.stringify({ ok: true, ...result, revision: currentRevision(board) }));
       } catch (err) {
-        res.writeHead(400, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify({ error: err.message }));
+        sendTaskError(res, err, board);
       }
-    });
+    }));
     return;
   }
 
-  if (pathname === '/create' && req.method === 'POST') {
+  if (pathname === '/trash' && req.method === 'GET') {
+    try {
+      const { meta } = readTasks(board);
+      const { tasks } = readTrash(board, meta);
+      const { q } = url.parse(req.url, true).query;
+      let list = tasks;
+      if (q) {
+        try {
+          list = filterTasks(tasks, meta, q).tasks;
+        } catch (err) {
+          throw requestError(400, err.message);
+        }
+      }
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ file: path.relative(__dirname, board.trashPath), tasks: list, total: tasks.length }));
+    } catch (err) {
+      if (!err.statusCode) console.error('[taskboard] /trash error', err);
+      res.writeHead(err.statusCode || 500, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: err.message }));
+    }
+    return;
+  }
+
+  if ((pathname === '/trash/restore' || pathname === '/trash/empty') && req.method === 'POST') {
     let body = '';
     req.on('data', (chunk) => (body += chunk));
-    req.on('end', () => {
+    req.on('end', () => withTaskLock(() => {
       try {
+        checkRevision(req, board);
         const payload = JSON.parse(body || '{}');
-        const result = createTask({
-          title: payload.title,
-          severity: payload.severity,
-          status: payload.status,
-          desc: payload.desc,
-        });
-        sendEvent({ type: 'refresh' });
+        let ids = Array.isArray(payload.ids) ? payload.ids.map(Number) : [Number(payload.id)];
+        if (pathname === '/trash/empty' && payload.id === undefined && payload.ids === undefined) ids = null;
+        else if (!ids.length || ids.some((id) => !Number.isInteger(id) || id < 1)) throw new Error('Invalid id');
+        const result = pathname === '/trash/restore'
+          ? recordOperation(board, (r) => `Restore ${idList(r.restored)} from the trash`, () => undeleteTasks(board, ids))
+          : recordOperation(board, (r) => `Delete ${idList(r.purged)} for good`, () => emptyTrash(board, ids));
         res.writeHead(200, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify({ ok: true, id: result.id }));
+        res.end(JSON.stringify({ ok: true, ...result, revision: currentRevision(board) }));
       } catch (err) {
-        res.writeHead(400, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify({ error: err.message }));
+        sendTaskError(res, err, board);
+      }
+    }));
+    return;
+  }
+
+  if (pathname === '/undo' && req.method === 'GET') {
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(undoSummary(board)));
+    return;
+  }
+
+  if ((pathname === '/undo' || pathname === '/redo') && req.method === 'POST') {
+    withTaskLock(() => {
+      try {
+        const result = stepOperation(board, pathname.slice(1));
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ ok: true, ...result, revision: currentRevision(board) }));
+      } catch (err) {
+        sendTaskError(res, err, board);
       }
     });
     return;
   }
 
-  if (pathname === '/delete' && req.method === 'POST') {
+  if (pathname === '/history' && req.method === 'GET') {
+    try {
+      const { query } = url.parse(req.url, true);
+      const taskId = query.task !== undefined ? Number(query.task) : undefined;
+      if (taskId !== undefined && !taskId) throw new Error('Invalid task id');
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ entries: readHistory(board, taskId) }));
+    } catch (err) {
+      res.writeHead(400, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: err.message }));
+    }
+    return;
+  }
+
+  if (pathname === '/git/commits' && req.method === 'GET') {
+    try {
+      const taskId = Number(url.parse(req.url, true).query.task);
+      if (!taskId) throw requestError(400, 'Invalid task id');
+      const commits = await taskCommits(board, taskId);
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(commits));
+    } catch (err) {
+      res.writeHead(err.statusCode || 500, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: err.message }));
+    }
+    return;
+  }
+
+  if (pathname === '/git/status' && req.method === 'GET') {
+    const tasks = await workspaceStatus(board);
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ tasks }));
+    return;
+  }
+
+  if (pathname === '/metrics' && req.method === 'GET') {
+    try {
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(computeMetrics(readHistory(board), readTasks(board).meta)));
+    } catch (err) {
+      res.writeHead(500, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: err.message }));
+    }
+    return;
+  }
+
+  if (pathname === '/runs' && req.method === 'GET') {
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ runs: listRuns(board), maxConcurrentRuns: maxConcurrentRuns(loadConfig()) }));
+    return;
+  }
+
+  const runLog = pathname.match(/^\/runs\/(\d+)\/log$/);
+  if (runLog && req.method === 'GET') {
+    const run = runs.get(runKey(board.name, Number(runLog[1])));
+    if (!run) {
+      res.writeHead(404, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: 'Run not found' }));
+      return;
+    }
+    streamRunLog(req, res, run);
+    return;
+  }
+
+  const runAction = pathname.match(/^\/runs\/(\d+)\/(cancel|retry)$/);
+  if (runAction && req.method === 'POST') {
+    try {
+      const id = Number(runAction[1]);
+      const run = runAction[2] === 'cancel' ? cancelRun(board, id) : retryRun(board, id);
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ ok: true, run }));
+    } catch (err) {
+      res.writeHead(400, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: err.message }));
+    }
+    return;
+  }
+
+  if (pathname === '/rules/dry-run' && req.method === 'POST') {
     let body = '';
     req.on('data', (chunk) => (body += chunk));
     req.on('end', () => {
       try {
         const payload = JSON.parse(body || '{}');
-        const id = Number(payload.id);
-        if (!id) throw new Error('Invalid id');
-        deleteTask(id);
-        sendEvent({ type: 'refresh' });
+        const { tasks, meta } = readTasks(board);
+        const task = tasks.find((t) => t.id === Number(payload.id));
+        if (!task) throw new Error('Task not found');
+        if (!payload.to || typeof payload.to !== 'string') throw new Error('Target status is required');
+        const config = loadConfig();
+        const rules = payload.rules !== undefined ? validateRules(payload.rules, meta) : effectiveRules(config);
+        const oldTask = payload.from ? { ...task, status: String(payload.from) } : task;
+        const result = evaluateRules(rules, oldTask, { ...task, status: payload.to }, meta, config, board);
         res.writeHead(200, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify({ ok: true }));
+        res.end(JSON.stringify({ ...result, autorunEnabled: !!config.autorunEnabled }));
       } catch (err) {
         res.writeHead(400, { 'Content-Type': 'application/json' });
         res.end(JSON.stringify({ error: err.message }));
@@ -354,9 +3193,42 @@ const server = http.createServer(async (req, res) => {
         const cfg = loadConfig();
         const next = { ...cfg };
         if (payload.hasOwnProperty('autorunEnabled')) next.autorunEnabled = !!payload.autorunEnabled;
-        if (payload.claudeBin && typeof payload.claudeBin === 'string') next.claudeBin = payload.claudeBin.trim() || cfg.claudeBin;
-        if (payload.logPath && typeof payload.logPath === 'string') next.logPath = payload.logPath.trim() || cfg.logPath;
+        if (payload.hasOwnProperty('blockOnDependencies')) next.blockOnDependencies = !!payload.blockOnDependencies;
+        if (payload.hasOwnProperty('autorunDependents')) next.autorunDependents = !!payload.autorunDependents;
+        if (payload.claudeBin && typeof payload.claudeBin === 'string' && payload.claudeBin.trim() !== cfg.claudeBin) {
+          next.claudeBin = validateClaudeBin(payload.claudeBin, cfg);
+        }
+        if (payload.logPath && typeof payload.logPath === 'string' && payload.logPath.trim() !== cfg.logPath) {
+          next.logPath = validateLocalPath('logPath', payload.logPath);
+        }
+        if (payload.runLogDir && typeof payload.runLogDir === 'string' && payload.runLogDir.trim() !== cfg.runLogDir) {
+          next.runLogDir = validateLocalPath('runLogDir', payload.runLogDir);
+        }
+        if (typeof payload.failureStatus === 'string') {
+          const wanted = payload.failureStatus.trim();
+          const { statuses } = combinedMeta();
+          const match = statuses.find((s) => normalizeStatus(s) === normalizeStatus(wanted));
+          if (wanted && statuses.length && !match) throw new Error(`Unknown failureStatus "${wanted}" (use ${statuses.join(', ')}, or empty to disable)`);
+          next.failureStatus = match || wanted;
+        }
+        if (payload.hasOwnProperty('rules')) next.rules = validateRuleCommands(validateRules(payload.rules, combinedMeta()), cfg);
+        if (payload.hasOwnProperty('archiveAfterDays')) {
+          const days = Number(payload.archiveAfterDays);
+          if (!(days >= 0)) throw new Error('archiveAfterDays must be 0 (off) or a number of days');
+          next.archiveAfterDays = days;
+        }
+        if (payload.hasOwnProperty('taskBranches')) {
+          if (!TASK_BRANCH_MODES.includes(payload.taskBranches)) throw new Error(`taskBranches must be one of ${TASK_BRANCH_MODES.join(', ')}`);
+          next.taskBranches = payload.taskBranches;
+        }
+        if (payload.hasOwnProperty('autoCommit')) next.autoCommit = !!payload.autoCommit;
+        if (payload.hasOwnProperty('maxConcurrentRuns')) {
+          const limit = Math.floor(Number(payload.maxConcurrentRuns));
+          if (!(limit >= 1)) throw new Error('maxConcurrentRuns must be a positive integer');
+          next.maxConcurrentRuns = limit;
+        }
         const saved = saveConfig(next);
+        pumpRunQueue();
         res.writeHead(200, { 'Content-Type': 'application/json' });
         res.end(JSON.stringify(saved));
       } catch (err) {
@@ -379,24 +3251,368 @@ const server = http.createServer(async (req, res) => {
   if (pathname === '/' || pathname === '/index.html') {
     res.writeHead(200, {
       'Content-Type': 'text/html; charset=utf-8',
-      'Cache-Control': 'no-store'
+      'Cache-Control': 'no-store',
+      'Set-Cookie': `${TOKEN_COOKIE}=${authToken}; Path=/; HttpOnly; SameSite=Strict`,
     });
     return res.end(htmlPage());
   }
 
   res.writeHead(404);
   res.end('Not found');
-});
+}
 
-// Watch TASKS.md and notify clients
-fs.watch(TASKS_PATH, { persistent: true }, () => {
-  console.log('[taskboard] TASKS.md changed, notifying clients');
-  sendEvent({ type: 'refresh' });
+// Routes answer their own errors; this catches whatever slips through so a
+// bad request can't take the server down.
+const server = http.createServer(async (req, res) => {
+  try {
+    await handleRequest(req, res);
+  } catch (err) {
+    console.error('[taskboard] request failed', req.method, req.url, err);
+    if (res.headersSent) {
+      res.end();
+      return;
+    }
+    res.writeHead(500, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ error: 'Internal server error' }));
+  }
 });
 
-server.listen(PORT, '127.0.0.1', () => {
-  console.log(`TASK board running at http://127.0.0.1:${PORT}`);
-});
+// --- Command line ----------------------------------------------------------
+// `node taskboard.js <command>` edits TASKS.md directly through the same
+// parser and mutation helpers as the server, so it works with or without
+// the board running (a running board picks the change up as an external edit).
+const CLI_USAGE = [
+  'Usage: node taskboard.js [port] [task files or globs...]',
+  '       node taskboard.js <command> [options]',
+  '',
+  'Commands:',
+  '  list [query] [--status S] [--severity S]  List tasks, e.g. list sev:high -done',
+  '  show <id>                              Show one task',
+  '  add <title> [--severity S] [--status S] [--desc D] [--field Name=value]...',
+  '  move <id> [status] [--top|--before ID] Change a task\'s status and/or its place in the column',
+  '  edit <id> [--title T] [--severity S] [--status S] [--desc D] [--field Name=value]...',
+  '  delete <id>                            Move a task to the trash file',
+  '  next [--by-severity]                   Top unblocked card of the ready column',
+  '  boards                                 List the configured boards',
+  '  export [query] [--format F]            Print tasks as json, csv or gh-issues',
+  '  import <file|-> [--format F] [--dry-run]  Add tasks from a json, csv or gh-issues file',
+  '  archive <id>... | --all [--days N]     Move done tasks to the archive file',
+  '  archived [query]                       List archived tasks',
+  '  restore <id>...                        Move archived tasks back to the board',
+  '  trashed [query]                        List deleted tasks',
+  '  undelete <id>...                       Move deleted tasks back to the board',
+  '  empty-trash [<id>...]                  Delete trashed tasks for good',
+  '',
+  'Options:',
+  '  --board B   Board name or task file (default: the first board)',
+  '  --json      Print machine-readable JSON',
+  '',
+  'Exit codes: 0 success, 1 error (or no task for `next`), 2 usage error.',
+].join('\n');
+
+function usageError(message) {
+  const err = new Error(message);
+  err.exitCode = 2;
+  return err;
+}
+
+// Positional arguments plus `--name value` options; `--field` may repeat.
+function parseCliArgs(argv) {
+  const positional = [];
+  const options = { fields: {} };
+  for (let i = 0; i < argv.length; i += 1) {
+    const arg = argv[i];
+    if (!arg.startsWith('--')) {
+      positional.push(arg);
+      continue;
+    }
+    const name = arg.slice(2);
+    if (['json', 'help', 'dry-run', 'all', 'top', 'by-severity'].includes(name)) {
+      options[name] = true;
+      continue;
+    }
+    if (!['status', 'severity', 'title', 'desc', 'field', 'board', 'query', 'format', 'days', 'before'].includes(name)) throw usageError(`Unknown option ${arg}`);
+    const value = argv[i + 1];
+    if (value === undefined) throw usageError(`${arg} needs a value`);
+    i += 1;
+    if (name === 'field') {
+      const eq = value.indexOf('=');
+      if (eq < 1) throw usageError('--field expects Name=value');
+      options.fields[value.slice(0, eq)] = value.slice(eq + 1) || null;
+    } else {
+      options[name] = value;
+    }
+  }
+  return { positional, options };
+}
+
+function cliTaskId(value) {
+  const id = Number(String(value || '').replace(/^#/, ''));
+  if (!Number.isInteger(id) || id < 1) throw usageError(`Expected a task id, got "${value === undefined ? '' : value}"`);
+  return id;
+}
+
+function findCliTask(board, id) {
+  const { tasks, meta } = readTasks(board);
+  const task = annotateDependencies(tasks, meta, archivedIds(board)).find((t) => t.id === id);
+  if (!task) throw new Error(`Task #${id} not found`);
+  return task;
+}
+
+// Lower is more severe: declared `rank`, else the conventional order.
+function severityRank(severity, meta) {
+  const policies = (meta && meta.severityPolicies) || {};
+  const name = Object.keys(policies).find((k) => k.toLowerCase() === String(severity).toLowerCase());
+  if (name) return policies[name].rank;
+  const idx = ['critical', 'high', 'medium', 'low'].indexOf(String(severity).toLowerCase());
+  return idx === -1 ? Infinity : idx + 1;
+}
+
+// The top unblocked card of the ready column, or with bySeverity the most
+// severe one (board order breaking ties).
+function nextReadyTask(tasks, meta, bySeverity = false) {
+  const ready = annotateDependencies(tasks, meta).filter((t) => isReadyStatus(t.status, meta) && !t.blockedBy.length);
+  if (bySeverity) ready.sort((a, b) => severityRank(a.severity, meta) - severityRank(b.severity, meta));
+  return ready[0] || null;
+}
+
+function formatTaskLine(t) {
+  return `#${t.id}\t${t.severity}\t${t.status}\t${t.title}`;
+}
+
+function formatTaskDetails(t) {
+  const out = [`#${t.id} ${t.title}`, `Severity: ${t.severity}`, `Status: ${t.status}`];
+  for (const [name, value] of Object.entries(t.fields || {})) out.push(`${name}: ${value}`);
+  if (t.blockedBy && t.blockedBy.length) out.push(`Blocked by: ${t.blockedBy.map((d) => `#${d}`).join(', ')}`);
+  if (t.desc) out.push('', t.desc);
+  return out.join('\n');
+}
+
+const CLI_COMMANDS = {
+  boards() {
+    const list = [...boards.values()].map((b) => ({ name: b.name, file: b.file, tasks: readTasks(b).tasks.length }));
+    return { json: list, text: list.map((b) => `${b.name}\t${b.file}\t${b.tasks} tasks`).join('\n') };
+  },
+  list(board, positional, options) {
+    const { tasks, meta } = readTasks(board);
+    const query = [options.query, ...positional].filter(Boolean).join(' ');
+    const annotated = annotateDependencies(tasks, meta, archivedIds(board));
+    const list = (query ? filterTasks(annotated, meta, query).tasks : annotated).filter((t) =>
+      (!options.status || normalizeStatus(t.status) === normalizeStatus(options.status))
+      && (!options.severity || String(t.severity).toLowerCase() === options.severity.toLowerCase()));
+    return { json: list, text: list.map(formatTaskLine).join('\n') };
+  },
+  show(board, positional) {
+    const task = findCliTask(board, cliTaskId(positional[0]));
+    return { json: task, text: formatTaskDetails(task) };
+  },
+  add(board, positional, options) {
+    const title = positional.join(' ').trim() || options.title;
+    if (!title) throw usageError('add needs a title');
+    const { meta } = readTasks(board);
+    const { id } = createTask(board, {
+      title,
+      severity: options.severity && declaredValue('severity', options.severity, meta.severities),
+      status: options.status && declaredValue('status', options.status, meta.statuses),
+      desc: options.desc,
+      fields: options.fields,
+    });
+    return { json: findCliTask(board, id), text: `Created #${id}` };
+  },
+  move(board, positional, options) {
+    const id = cliTaskId(positional[0]);
+    const { tasks, meta } = readTasks(board);
+    const status = positional.slice(1).join(' ').trim();
+    const placed = options.top || options.before !== undefined;
+    if (!status && !placed) throw usageError('move needs a status, --top or --before');
+    const current = (tasks.find((t) => t.id === id) || {}).status;
+    const target = status ? declaredValue('status', status, meta.statuses, current) : current;
+    let before = null;
+    if (options.before !== undefined) before = cliTaskId(options.before);
+    else if (options.top) {
+      const first = tasks.find((t) => t.id !== id && normalizeStatus(t.status) === normalizeStatus(target));
+      before = first ? first.id : null;
+    }
+    const result = placed ? reorderTask(board, id, { status: target, before }) : updateTask(board, id, { status: target });
+    const lines = [];
+    if (result.oldTask.status !== result.updated.status) lines.push(`#${id}: ${result.oldTask.status} -> ${result.updated.status}`);
+    if (placed) lines.push(before ? `#${id} placed before #${before}` : `#${id} placed at the end of ${target}`);
+    return { json: { task: findCliTask(board, id), warning: result.warning }, text: lines.join('\n'), warning: result.warning };
+  },
+  edit(board, positional, options) {
+    const id = cliTaskId(positional[0]);
+    const { tasks, meta } = readTasks(board);
+    const task = tasks.find((t) => t.id === id) || {};
+    const updates = {};
+    if (options.title !== undefined) updates.title = options.title.trim();
+    if (options.severity !== undefined) updates.severity = declaredValue('severity', options.severity, meta.severities, task.severity);
+    if (options.status !== undefined) updates.status = declaredValue('status', options.status, meta.statuses, task.status);
+    if (options.desc !== undefined) updates.desc = options.desc;
+    if (Object.keys(options.fields).length) updates.fields = options.fields;
+    if (!Object.keys(updates).length) throw usageError('edit needs at least one of --title, --severity, --status, --desc, --field');
+    if (updates.title === '') throw usageError('--title cannot be empty');
+    const result = updateTask(board, id, updates);
+    return { json: { task: findCliTask(board, id), warning: result.warning }, text: `Updated #${id}`, warning: result.warning };
+  },
+  delete(board, positional) {
+    const id = cliTaskId(positional[0]);
+    deleteTask(board, id);
+    return { json: { ok: true, id }, text: `Moved #${id} to ${path.relative(__dirname, board.trashPath)}` };
+  },
+  next(board, positional, options) {
+    const { tasks, meta } = readTasks(board);
+    const task = nextReadyTask(tasks, meta, !!options['by-severity']);
+    return { json: task, text: task ? formatTaskLine(task) : 'No ready task', exitCode: task ? 0 : 1 };
+  },
+  export(board, positional, options) {
+    const format = options.format || 'json';
+    if (!EXPORT_FORMATS[format]) throw usageError(`Unknown format "${format}"`);
+    const { tasks, meta } = readTasks(board);
+    const query = [options.query, ...positional].filter(Boolean).join(' ');
+    const list = query ? filterTasks(tasks, meta, query).tasks : tasks;
+    return { raw: exportTasks(list, meta, format) };
+  },
+  import(board, positional, options) {
+    const file = positional[0];
+    if (!file) throw usageError('import needs a file (or - for stdin)');
+    const format = options.format || importFormatFor(file);
+    if (!EXPORT_FORMATS[format]) throw usageError(`Unknown format "${format}"`);
+    const data = fs.readFileSync(file === '-' ? 0 : path.resolve(file), 'utf8');
+    const result = importTasks(board, data, format, { dryRun: !!options['dry-run'] });
+    const verb = result.dryRun ? 'Would create' : 'Created';
+    const text = [
+      ...result.created.map((c) => `${verb} #${c.id} (row ${c.row})\t${c.severity}\t${c.status}\t${c.title}`),
+      ...result.skipped.map((s) => `Skipped row ${s.row}: ${s.reason}`),
+      ...result.warnings.map((w) => `Row ${w.row}: ${w.message}`),
+      `${verb} ${result.created.length} task(s), skipped ${result.skipped.length}`,
+    ].join('\n');
+    return { json: result, text };
+  },
+  archive(board, positional, options) {
+    let ids = positional.map(cliTaskId);
+    if (options.all || options.days !== undefined) {
+      const days = options.days === undefined ? 0 : Number(options.days);
+      if (!(days >= 0)) throw usageError('--days expects a number of days');
+      ids = archiveCandidates(board, days);
+    } else if (!ids.length) {
+      throw usageError('archive needs task ids, or --all');
+    }
+    const { archived } = archiveTasks(board, ids);
+    const text = archived.length
+      ? `Archived ${archived.map((id) => `#${id}`).join(', ')} to ${path.relative(__dirname, board.archivePath)}`
+      : 'Nothing to archive';
+    return { json: { archived }, text };
+  },
+  archived(board, positional, options) {
+    const { meta } = readTasks(board);
+    const { tasks } = readArchive(board, meta);
+    const query = [options.query, ...positional].filter(Boolean).join(' ');
+    const list = query ? filterTasks(tasks, meta, query).tasks : tasks;
+    return { json: list, text: list.map((t) => `${formatTaskLine(t)}\t(archived ${fieldValue(t.fields, ARCHIVED_FIELD) || '?'})`).join('\n') };
+  },
+  restore(board, positional) {
+    if (!positional.length) throw usageError('restore needs task ids');
+    const { restored } = restoreTasks(board, positional.map(cliTaskId));
+    return { json: { restored }, text: `Restored ${idList(restored)}` };
+  },
+  trashed(board, positional, options) {
+    const { meta } = readTasks(board);
+    const { tasks } = readTrash(board, meta);
+    const query = [options.query, ...positional].filter(Boolean).join(' ');
+    const list = query ? filterTasks(tasks, meta, query).tasks : tasks;
+    return { json: list, text: list.map((t) => `${formatTaskLine(t)}\t(deleted ${fieldValue(t.fields, DELETED_FIELD) || '?'})`).join('\n') };
+  },
+  undelete(board, positional) {
+    if (!positional.length) throw usageError('undelete needs task ids');
+    const { restored } = undeleteTasks(board, positional.map(cliTaskId));
+    return { json: { restored }, text: `Restored ${idList(restored)}` };
+  },
+  'empty-trash'(board, positional) {
+    const { purged } = emptyTrash(board, positional.length ? positional.map(cliTaskId) : null);
+    return { json: { purged }, text: purged.length ? `Deleted ${idList(purged)} for good` : 'The trash is empty' };
+  },
+};
+
+function runCli(argv) {
+  const [command, ...rest] = argv;
+  let json = rest.includes('--json');
+  try {
+    const { positional, options } = parseCliArgs(rest);
+    json = !!options.json;
+    if (command === 'help' || command === '--help' || options.help) {
+      console.log(CLI_USAGE);
+      return 0;
+    }
+    const specs = boardSpecs(loadConfig());
+    if (options.board && !boards.has(options.board) && fs.existsSync(path.resolve(__dirname, options.board))) specs.push(options.board);
+    loadBoards(specs);
+    const board = options.board ? findBoard(options.board) : defaultBoard();
+    const result = CLI_COMMANDS[command](board, positional, options);
+    if (result.warning && !json) console.error(`Warning: ${result.warning}`);
+    if (result.raw !== undefined) process.stdout.write(result.raw);
+    else console.log(json ? JSON.stringify(result.json, null, 2) : result.text);
+    return result.exitCode || 0;
+  } catch (err) {
+    if (json) console.log(JSON.stringify({ error: err.message }));
+    console.error(`taskboard: ${err.message}`);
+    if (err.exitCode === 2) console.error(CLI_USAGE);
+    return err.exitCode || 1;
+  }
+}
+
+function startServer(specs) {
+  try {
+    loadBoards(specs);
+  } catch (err) {
+    console.error(`taskboard: ${err.message}`);
+    process.exitCode = 2;
+    return;
+  }
+  loadToken();
+  // Watch the directories rather than the files: atomic writes replace the
+  // file with a new inode, which a file watch would stop following.
+  const watched = new Map();
+  for (const board of boards.values()) {
+    withTaskLock(() => recordChanges(board, 'external'));
+    const dir = path.dirname(board.path);
+    if (!watched.has(dir)) watched.set(dir, []);
+    watched.get(dir).push(board);
+  }
+  for (const [dir, list] of watched) {
+    fs.watch(dir, { persistent: true }, (eventType, filename) => {
+      for (const board of list) {
+        if (filename && filename !== path.basename(board.path)) continue;
+        console.log(`[taskboard] ${board.file} changed, notifying clients`);
+        withTaskLock(() => recordChanges(board, 'external'));
+      }
+    });
+  }
+
+  server.listen(PORT, '127.0.0.1', () => {
+    console.log(`TASK board running at http://127.0.0.1:${PORT}`);
+    for (const board of boards.values()) console.log(`  ${board.name}: ${board.file}`);
+    autoArchive();
+    setInterval(autoArchive, 3600000).unref();
+  });
+}
+
+// Anything that isn't a command or the port is a task file or glob. Loaded
+// with require() (by the tests), it does neither.
+if (require.main === module) {
+  const command = process.argv[2];
+  const serverArgs = process.argv.slice(Number(command) ? 3 : 2);
+  if (command && (CLI_COMMANDS.hasOwnProperty(command) || ['help', '--help', '-h'].includes(command))) {
+    process.exitCode = runCli(process.argv.slice(2).map((a) => (a === '-h' ? '--help' : a)));
+  } else if (serverArgs.some((a) => !/[./*?]/.test(a))) {
+    console.error(`taskboard: unknown command "${serverArgs.find((a) => !/[./*?]/.test(a))}"`);
+    console.error(CLI_USAGE);
+    process.exitCode = 2;
+  } else {
+    startServer(boardSpecs(loadConfig(), serverArgs));
+  }
+}
+
+module.exports = { parseFrontMatter, parseDocument, updateDocument, appendToDocument, moveInDocument, removeFromDocument };
 
 // --- HTML ------------------------------------------------------------------
 function htmlPage() {
@@ -414,27 +3630,61 @@ function htmlPage() {
     '    .toggle { display:flex; align-items:center; gap:6px; font-size:12px; }',
     '    .toggle input { transform: scale(1.1); cursor:pointer; }',
     '    .btn { background:#2563eb; color:#fff; border:none; border-radius:4px; padding:6px 10px; cursor:pointer; font-size:12px; }',
+    '    a.btn { text-decoration:none; display:inline-block; }',
     '    .btn:hover { background:#1d4ed8; }',
     '    .btn.secondary { background:#e5e7eb; color:#111827; }',
     '    .btn.secondary:hover { background:#d1d5db; }',
     '    .btn.danger { background:#ef4444; color:#fff; }',
     '    .btn.danger:hover { background:#dc2626; }',
+    '    .btn:disabled { opacity:0.5; cursor:default; }',
+    '    .toast { position:fixed; bottom:16px; left:50%; transform:translateX(-50%); background:#1f2937; color:#fff; border-radius:6px; padding:8px 12px; display:none; align-items:center; gap:10px; font-size:13px; box-shadow:0 4px 12px rgba(0,0,0,0.25); }',
+    '    .toast button { margin:0; }',
     '    .modal-form { position:fixed; inset:0; background: rgba(0,0,0,0.45); display:none; align-items:center; justify-content:center; }',
     '    .modal-panel { background:#fff; width:min(520px,90vw); padding:18px; border-radius:10px; box-shadow:0 12px 30px rgba(0,0,0,0.3); display:flex; flex-direction:column; gap:12px; }',
     '    .modal-row { display:flex; flex-direction:column; gap:6px; }',
     '    .modal-row label { font-size:12px; color:#374151; }',
     '    .modal-row input, .modal-row textarea, .modal-row select { width:100%; padding:8px; border:1px solid #d1d5db; border-radius:6px; font-size:13px; }',
     '    #create-desc, #view-desc { min-height:180px; }',
+    '    .desc-preview { min-height:180px; border:1px solid #e5e7eb; border-radius:6px; padding:8px; font-size:13px; }',
+    '    .markdown { white-space:normal; }',
+    '    .markdown p, .markdown ul, .markdown ol, .markdown pre { margin:4px 0; }',
+    '    .markdown ul, .markdown ol { padding-left:18px; }',
+    '    .markdown li.task-item { list-style:none; }',
+    '    .markdown h4, .markdown h5, .markdown h6 { margin:6px 0 2px; }',
+    '    .markdown code { background:#f3f4f6; padding:0 3px; border-radius:3px; font-size:11px; }',
+    '    .markdown pre { background:#f3f4f6; padding:6px; border-radius:4px; overflow:auto; white-space:pre; }',
+    '    .markdown pre code { padding:0; }',
+    '    .card-desc { max-height:96px; overflow:hidden; margin-top:4px; color:#374151; }',
+    '    select.small { font-size:12px; padding:3px 4px; margin-right:6px; }',
     '    .modal-actions { display:flex; justify-content:flex-end; gap:8px; }',
     '    .columns { display:grid; grid-template-columns: repeat(auto-fit, minmax(240px,1fr)); gap:12px; padding:12px; }',
     '    .col { background:#e5e7eb; border-radius:8px; padding:10px; min-height:200px; }',
     '    .col h2 { margin:0 0 8px; font-size:14px; text-transform:uppercase; letter-spacing:.5px; color:#374151; }',
     '    .card { background:#fff; border-radius:6px; padding:10px; margin-bottom:8px; box-shadow:0 1px 3px rgba(0,0,0,0.1); border-left:4px solid #3b82f6; }',
-    '    .sev-CRITICAL { border-color:#ef4444; }',
-    '    .sev-HIGH { border-color:#f59e0b; }',
-    '    .sev-MEDIUM { border-color:#3b82f6; }',
-    '    .sev-LOW { border-color:#10b981; }',
+    '    .card.drop-before { box-shadow:0 -3px 0 #2563eb, 0 1px 3px rgba(0,0,0,0.1); }',
+    '    .col.drop-end { box-shadow:inset 0 -3px 0 #2563eb; }',
+    '    .col h2.wip-full { color:#b45309; }',
+    '    .col h2.wip-over { color:#b91c1c; }',
+    '    .col h2 .hidden-count { font-weight:normal; font-size:12px; color:#6b7280; }',
+    '    #filter-input { width:320px; padding:5px 8px; border-radius:4px; border:1px solid #4b5563; font-size:12px; }',
     '    .title { font-weight:700; margin-bottom:4px; }',
+    '    .blocked { font-size:12px; color:#b91c1c; margin-bottom:4px; }',
+    '    .progress { display:flex; align-items:center; gap:6px; margin-bottom:4px; }',
+    '    .progress-bar { flex:1; height:6px; background:#e5e7eb; border-radius:3px; overflow:hidden; }',
+    '    .progress-fill { height:100%; background:#10b981; }',
+    '    .progress-label { font-size:11px; color:#4b5563; }',
+    '    .subtask { display:flex; align-items:flex-start; gap:6px; font-size:13px; padding:2px 0; cursor:pointer; }',
+    '    .subtask .done { text-decoration:line-through; color:#6b7280; }',
+    '    .chips { display:flex; flex-wrap:wrap; gap:4px; margin-bottom:4px; }',
+    '    .chip { font-size:11px; padding:1px 6px; border-radius:4px; background:#eef2ff; color:#3730a3; }',
+    '    .field-grid { display:grid; grid-template-columns: repeat(auto-fill, minmax(150px,1fr)); gap:8px; }',
+    '    .field-input { display:flex; flex-direction:column; gap:4px; font-size:12px; color:#374151; }',
+    '    .field-input input { padding:6px; border:1px solid #d1d5db; border-radius:6px; font-size:13px; }',
+    '    .badge { display:inline-block; font-size:11px; padding:1px 6px; border-radius:9px; background:#e5e7eb; color:#374151; }',
+    '    .badge.running { background:#dcfce7; color:#166534; }',
+    '    .badge.queued { background:#fef3c7; color:#92400e; }',
+    '    .badge.failed { background:#fee2e2; color:#991b1b; }',
+    '    .badge.branch { background:#ede9fe; color:#5b21b6; margin-left:4px; }',
     '    .meta { font-size:12px; color:#4b5563; margin-bottom:6px; }',
     '    .desc { font-size:12px; white-space: pre-line; color:#111827; }',
     '    button.small { font-size:12px; padding:4px 8px; margin-right:6px; }',
@@ -442,14 +3692,33 @@ function htmlPage() {
     '    .modal-content { background:#fff; width: min(700px, 90vw); max-height:85vh; overflow:auto; padding:20px; border-radius:10px; box-shadow:0 12px 30px rgba(0,0,0,0.3); display:flex; flex-direction:column; gap:12px; }',
     '    .modal pre { white-space: pre-wrap; word-break: break-word; font-size:12px; }',
     '    .modal-header { display:flex; justify-content:space-between; align-items:center; margin-bottom:8px; }',
+    '    .tabs { display:flex; gap:4px; border-bottom:1px solid #e5e7eb; }',
+    '    .tab { border:none; background:none; padding:6px 12px; cursor:pointer; font-size:12px; color:#4b5563; border-bottom:2px solid transparent; }',
+    '    .tab.active { color:#111827; border-bottom-color:#2563eb; }',
+    '    .log { background:#111827; color:#e5e7eb; padding:10px; border-radius:6px; min-height:200px; max-height:50vh; overflow:auto; margin:0; }',
+    '    .timeline { list-style:none; margin:0; padding:0 0 0 12px; border-left:2px solid #e5e7eb; font-size:12px; }',
+    '    .timeline li { margin:0 0 10px; position:relative; }',
+    '    .timeline li::before { content:""; position:absolute; left:-18px; top:4px; width:8px; height:8px; border-radius:50%; background:#2563eb; }',
+    '    .timeline .when { color:#6b7280; }',
+    '    table.metrics { border-collapse:collapse; width:100%; font-size:12px; margin-bottom:12px; }',
+    '    table.metrics th, table.metrics td { text-align:left; padding:4px 8px; border-bottom:1px solid #e5e7eb; }',
     '    .close-btn { border:none; background:#ef4444; color:#fff; padding:6px 10px; border-radius:4px; cursor:pointer; }',
     '  </style>',
     '</head>',
     '<body>',
     '  <header>',
-    '    <div><strong>TASKS.md</strong> Kanban (live)</div>',
+    '    <div><strong id="board-file">TASKS.md</strong> Kanban (live)</div>',
     '    <div class="controls" id="controls">',
+    '      <select id="board-select" title="Board" style="display:none;"></select>',
+    '      <input id="filter-input" type="search" placeholder="Filter: sev:high status:&quot;in progress&quot; tag:ui -done &quot;login&quot;" />',
     '      <button class="btn" id="new-task-btn">New Task</button>',
+    '      <button class="btn secondary" onclick="showMetrics()">Metrics</button>',
+    '      <button class="btn secondary" onclick="showRules()">Rules</button>',
+    '      <button class="btn secondary" onclick="showImport()">Import/Export</button>',
+    '      <button class="btn secondary" onclick="showArchive()">Archived</button>',
+    '      <button class="btn secondary" onclick="showTrash()">Trash</button>',
+    '      <button class="btn secondary" id="undo-btn" onclick="stepUndo(\'undo\')" disabled>Undo</button>',
+    '      <button class="btn secondary" id="redo-btn" onclick="stepUndo(\'redo\')" disabled>Redo</button>',
     '      <div class="spacer"></div>',
     '      <label class="toggle" id="autorun-toggle">',
     '        <input type="checkbox" id="autorun-checkbox" />',
@@ -459,24 +3728,159 @@ function htmlPage() {
     '    </div>',
     '  </header>',
     '  <div class="columns" id="board"></div>',
-    '  <div class="modal" id="modal" onclick="closeModal(event)">',
+    '  <div class="modal" id="modal" onclick="requestCloseModal()">',
     '    <div class="modal-content" onclick="event.stopPropagation()">',
     '      <div class="modal-header">',
     '        <strong id="modal-title">Task</strong>',
     '        <div style="display:flex; gap:8px;">',
+    '          <span id="transfer-controls" style="display:none; gap:4px;">',
+    '            <select id="transfer-board"></select>',
+    '            <button class="btn secondary" onclick="transferTaskAction()">Move to board</button>',
+    '          </span>',
+    '          <button class="btn secondary" id="archive-btn" onclick="archiveTaskAction()">Archive</button>',
     '          <button class="btn danger" onclick="deleteTaskAction()">Delete</button>',
     '          <button class="btn" onclick="saveTask()">Save</button>',
-    '          <button class="btn secondary" onclick="closeModal()">Close</button>',
+    '          <button class="btn secondary" onclick="requestCloseModal()">Close</button>',
     '        </div>',
     '      </div>',
-    '      <div class="modal-row">',
-    '        <label for="view-title">Title</label>',
-    '        <input id="view-title" type="text" />',
+    '      <div class="meta">Ctrl+Enter save &middot; Esc close &middot; Alt+&uarr;/&darr; previous/next task</div>',
+    '      <div class="tabs">',
+    '        <button class="tab active" id="tab-btn-details" onclick="showTab(\'details\')">Details</button>',
+    '        <button class="tab" id="tab-btn-logs" onclick="showTab(\'logs\')">Logs</button>',
+    '        <button class="tab" id="tab-btn-history" onclick="showTab(\'history\')">History</button>',
+    '        <button class="tab" id="tab-btn-git" onclick="showTab(\'git\')">Commits</button>',
     '      </div>',
-    '      <div class="modal-row">',
-    '        <label for="view-desc">Description</label>',
-    '        <textarea id="view-desc" rows="6"></textarea>',
+    '      <div id="tab-details" style="display:flex; flex-direction:column; gap:12px;">',
+    '        <div class="modal-row">',
+    '          <label for="view-title">Title</label>',
+    '          <input id="view-title" type="text" />',
+    '        </div>',
+    '        <div class="field-grid">',
+    '          <div class="modal-row">',
+    '            <label for="view-status">Status</label>',
+    '            <select id="view-status"></select>',
+    '          </div>',
+    '          <div class="modal-row">',
+    '            <label for="view-severity">Severity</label>',
+    '            <select id="view-severity"></select>',
+    '          </div>',
+    '        </div>',
+    '        <div class="modal-row">',
+    '          <label>Fields</label>',
+    '          <div class="field-grid" id="view-fields"></div>',
+    '        </div>',
+    '        <div class="modal-row">',
+    '          <label>Checklist</label>',
+    '          <div id="view-subtasks"></div>',
+    '        </div>',
+    '        <div class="modal-row">',
+    '          <div style="display:flex; align-items:center; gap:4px;">',
+    '            <label for="view-desc" style="flex:1;">Description</label>',
+    '            <button class="tab active" id="desc-write-btn" onclick="showDescMode(\'write\')">Write</button>',
+    '            <button class="tab" id="desc-preview-btn" onclick="showDescMode(\'preview\')">Preview</button>',
+    '          </div>',
+    '          <textarea id="view-desc" rows="6"></textarea>',
+    '          <div class="markdown desc-preview" id="view-desc-preview" style="display:none;"></div>',
+    '        </div>',
+    '      </div>',
+    '      <div id="tab-logs" style="display:none;">',
+    '        <div class="meta" id="log-status"></div>',
+    '        <pre class="log" id="log-output"></pre>',
+    '      </div>',
+    '      <div id="tab-history" style="display:none;">',
+    '        <ul class="timeline" id="history-list"></ul>',
+    '      </div>',
+    '      <div id="tab-git" style="display:none;">',
+    '        <div class="meta" id="git-branch"></div>',
+    '        <ul class="timeline" id="commit-list"></ul>',
+    '      </div>',
+    '    </div>',
+    '  </div>',
+    '  <div class="modal" id="metrics-modal" onclick="closeMetrics()">',
+    '    <div class="modal-content" onclick="event.stopPropagation()">',
+    '      <div class="modal-header">',
+    '        <strong>Metrics</strong>',
+    '        <button class="btn secondary" onclick="closeMetrics()">Close</button>',
+    '      </div>',
+    '      <div id="metrics-body">Loading...</div>',
+    '    </div>',
+    '  </div>',
+    '  <div class="modal" id="rules-modal" onclick="closeRules()">',
+    '    <div class="modal-content" onclick="event.stopPropagation()">',
+    '      <div class="modal-header">',
+    '        <strong>Automation rules</strong>',
+    '        <div style="display:flex; gap:8px;">',
+    '          <button class="btn" onclick="saveRules()">Save</button>',
+    '          <button class="btn secondary" onclick="closeRules()">Close</button>',
+    '        </div>',
+    '      </div>',
+    '      <div class="meta">An empty list keeps the default rule (Backlog to Ready runs /do-task). Placeholders: {claude} {id} {title} {status} {from} {severity}</div>',
+    '      <textarea id="rules-json" rows="12" style="font-family:monospace;"></textarea>',
+    '      <div style="display:flex; gap:8px; align-items:center;">',
+    '        <strong>Dry run</strong>',
+    '        <select id="dry-task"></select>',
+    '        <span>to</span>',
+    '        <select id="dry-status"></select>',
+    '        <button class="btn secondary" onclick="dryRunRules()">Test</button>',
+    '      </div>',
+    '      <ul class="timeline" id="dry-results"></ul>',
+    '    </div>',
+    '  </div>',
+    '  <div class="modal" id="archive-modal" onclick="closeArchive()">',
+    '    <div class="modal-content" onclick="event.stopPropagation()">',
+    '      <div class="modal-header">',
+    '        <strong>Archived tasks <span class="meta" id="archive-file"></span></strong>',
+    '        <button class="btn secondary" onclick="closeArchive()">Close</button>',
+    '      </div>',
+    '      <div style="display:flex; gap:8px; align-items:center;">',
+    '        <button class="btn" onclick="archiveDone()">Archive all done</button>',
+    '        <div class="spacer"></div>',
+    '        <label for="archive-days">Auto-archive after</label>',
+    '        <input id="archive-days" type="number" min="0" style="width:60px;" onchange="updateSettings({archiveAfterDays:Number(this.value)})" />',
+    '        <span class="meta">days done (0 = off)</span>',
     '      </div>',
+    '      <ul class="timeline" id="archive-list"></ul>',
+    '    </div>',
+    '  </div>',
+    '  <div class="modal" id="trash-modal" onclick="closeTrash()">',
+    '    <div class="modal-content" onclick="event.stopPropagation()">',
+    '      <div class="modal-header">',
+    '        <strong>Trash <span class="meta" id="trash-file"></span></strong>',
+    '        <button class="btn secondary" onclick="closeTrash()">Close</button>',
+    '      </div>',
+    '      <div style="display:flex; gap:8px; align-items:center;">',
+    '        <span class="meta">Deleted tasks keep their id until the trash is emptied.</span>',
+    '        <div class="spacer"></div>',
+    '        <button class="btn danger" onclick="emptyTrashAction()">Empty trash</button>',
+    '      </div>',
+    '      <ul class="timeline" id="trash-list"></ul>',
+    '    </div>',
+    '  </div>',
+    '  <div class="toast" id="toast"><span id="toast-text"></span><button class="small" id="toast-action"></button></div>',
+    '  <div class="modal" id="import-modal" onclick="closeImport()">',
+    '    <div class="modal-content" onclick="event.stopPropagation()">',
+    '      <div class="modal-header">',
+    '        <strong>Import and export</strong>',
+    '        <button class="btn secondary" onclick="closeImport()">Close</button>',
+    '      </div>',
+    '      <div style="display:flex; gap:8px; align-items:center;">',
+    '        <strong>Export</strong>',
+    '        <a class="btn secondary" id="export-json" download>JSON</a>',
+    '        <a class="btn secondary" id="export-csv" download>CSV</a>',
+    '        <a class="btn secondary" id="export-gh-issues" download>GitHub issues</a>',
+    '        <span class="meta" id="export-note"></span>',
+    '      </div>',
+    '      <div style="display:flex; gap:8px; align-items:center;">',
+    '        <strong>Import</strong>',
+    '        <select id="import-format"><option value="json">JSON</option><option value="csv">CSV</option><option value="gh-issues">GitHub issues</option></select>',
+    '        <input id="import-file" type="file" accept=".json,.csv,application/json,text/csv" onchange="readImportFile(this)" />',
+    '      </div>',
+    '      <textarea id="import-data" rows="8" style="font-family:monospace;" placeholder="Choose a file or paste JSON / CSV here"></textarea>',
+    '      <div style="display:flex; gap:8px;">',
+    '        <button class="btn secondary" onclick="runImport(true)">Preview</button>',
+    '        <button class="btn" onclick="runImport(false)">Import</button>',
+    '      </div>',
+    '      <ul class="timeline" id="import-results"></ul>',
     '    </div>',
     '  </div>',
     '  <div class="modal-form" id="create-modal" onclick="closeCreate(event)">',
@@ -494,6 +3898,10 @@ function htmlPage() {
     '        <select id="create-severity"></select>',
     '      </div>',
     '      <div class="modal-row">',
+    '        <label>Fields</label>',
+    '        <div class="field-grid" id="create-fields"></div>',
+    '      </div>',
+    '      <div class="modal-row">',
     '        <label for="create-desc">Description</label>',
     '        <textarea id="create-desc" rows="4" placeholder="Optional details"></textarea>',
     '      </div>',
@@ -517,32 +3925,123 @@ function appJs() {
     "const controlsEl=document.getElementById('controls');",
     "const newTaskBtn=document.getElementById('new-task-btn');",
     "const autorunCheckbox=document.getElementById('autorun-checkbox');",
-    "let meta={}; let tasks=[]; let settings={autorunEnabled:false}; let nextId=1;",
+    "let meta={}; let tasks=[]; let runs={}; let gitStatus={}; let revision=''; let settings={autorunEnabled:false}; let nextId=1;",
+    "let es=null; let lastEvent=''; let dragging=false; let pendingEvents=[];",
+    "let boardList=[]; let currentBoard=new URLSearchParams(location.search).get('board')||'';",
+    "function readFilterHash(){const m=location.hash.match(/^#q=(.*)$/); return m?decodeURIComponent(m[1]):'';}",
+    "let filter=readFilterHash(); let hidden={}; let reloadTimer=null;",
+    "function setFilter(q){filter=q.trim(); history.replaceState(null,'',location.pathname+location.search+(filter?'#q='+encodeURIComponent(filter):'')); load();}",
+    "function scheduleReload(){clearTimeout(reloadTimer); reloadTimer=setTimeout(()=>load().then(()=>{const t=tasks.find(x=>x.id===currentId); if(t) refreshOpenTask(t);}),200);}",
+    "function api(p){return currentBoard?'/b/'+encodeURIComponent(currentBoard)+p:p;}",
+    "async function loadBoards(){const res=await fetch('/boards'); if(!res.ok) throw new Error('Boards fetch failed: '+res.status); boardList=(await res.json()).boards||[]; if(!boardList.some(b=>b.name===currentBoard)) currentBoard=boardList.length?boardList[0].name:''; const select=document.getElementById('board-select'); select.innerHTML=''; boardList.forEach(b=>{const o=createElem('option','',b.name+' ('+b.file+')'); o.value=b.name; select.appendChild(o);}); select.value=currentBoard; select.style.display=boardList.length>1?'':'none'; select.onchange=()=>switchBoard(select.value); const current=boardList.find(b=>b.name===currentBoard); if(current){document.getElementById('board-file').textContent=current.file; document.title=current.file+' Kanban';}}",
+    "function switchBoard(name){currentBoard=name; history.replaceState(null,'','?board='+encodeURIComponent(name)+location.hash); closeModal(); runs={}; loadBoards().catch(e=>console.error(e)); load().then(connectEvents);}",
+    "async function transferTaskAction(){if(currentId==null) return; const to=document.getElementById('transfer-board').value; if(!to) return; const r=await postJson(api('/transfer'),{id:currentId,to}); if(!r.ok){if(r.status!==409) alert('Move failed: '+(r.data.error||r.status)); return;} if(r.data.warning) alert(r.data.warning); closeModal();}",
     "function clearBoard(){while(boardEl.firstChild)boardEl.removeChild(boardEl.firstChild);}",
     "function createElem(tag,className,text){const el=document.createElement(tag); if(className)el.className=className; if(text!==undefined)el.textContent=text; return el;}",
     "function groupByStatus(list){const g={}; list.forEach(t=>{const k=t.status||'To Do'; (g[k]=g[k]||[]).push(t);}); return g;}",
-    "function render(){clearBoard(); const g=groupByStatus(tasks); nextId=tasks.reduce((m,t)=>Math.max(m,t.id),0)+1; const defaults=(meta.statuses&&meta.statuses.length)?meta.statuses:['Backlog','To Do','In Progress','Blocked','Done']; const cols=[...defaults,...Object.keys(g).filter(k=>!defaults.includes(k))]; cols.forEach(col=>{const colEl=createElem('div','col'); colEl.dataset.status=col; colEl.addEventListener('dragover',ev=>ev.preventDefault()); colEl.addEventListener('drop',ev=>{ev.preventDefault(); const id=ev.dataTransfer.getData('text/plain'); if(id) updateTask(parseInt(id,10),{status:col});}); const items=g[col]||[]; colEl.appendChild(createElem('h2','', col + ' ('+items.length+')')); if(!items.length){colEl.appendChild(createElem('div','', 'No tasks'));} else {items.forEach(t=>colEl.appendChild(card(t)));} boardEl.appendChild(colEl);}); renderSettings();}",
+    "function findPolicy(map,name){const key=Object.keys(map||{}).find(k=>k.toLowerCase()===String(name).trim().toLowerCase()); return key?map[key]:null;}",
+    "function statusPolicy(status){return findPolicy(meta.statusPolicies,status);}",
+    "function backlogStatus(){const p=meta.statusPolicies||{}; return Object.keys(p).find(k=>p[k].role==='backlog')||'Backlog';}",
+    "function severityColor(sev){const p=findPolicy(meta.severityPolicies,sev); if(p&&p.color) return p.color; return ({critical:'#ef4444',high:'#f59e0b',medium:'#3b82f6',low:'#10b981'})[String(sev).toLowerCase()]||null;}",
+    "function columnHeading(col,count){const policy=statusPolicy(col); const wip=policy&&policy.wip; const total=count+(hidden[col]||0); const h2=createElem('h2',wip&&total>wip?'wip-over':(wip&&total===wip?'wip-full':''), col + ' ('+total+(wip?'/'+wip:'')+')'); if(wip) h2.title='WIP limit: '+wip; if(hidden[col]) h2.appendChild(createElem('span','hidden-count',' \u00b7 '+hidden[col]+' hidden')); return h2;}",
+    "function render(){clearBoard(); const g=groupByStatus(tasks); nextId=tasks.reduce((m,t)=>Math.max(m,t.id),0)+1; const defaults=(meta.statuses&&meta.statuses.length)?meta.statuses:['Backlog','To Do','In Progress','Blocked','Done']; const cols=[...defaults,...[...Object.keys(g),...Object.keys(hidden)].filter((k,i,all)=>!defaults.includes(k)&&all.indexOf(k)===i)]; cols.forEach(col=>{const colEl=createElem('div','col'); colEl.dataset.status=col; colEl.addEventListener('dragover',ev=>{ev.preventDefault(); clearDropMarks(); const target=dropTarget(colEl,ev.clientY); if(target) target.classList.add('drop-before'); else colEl.classList.add('drop-end');}); colEl.addEventListener('dragleave',ev=>{if(!colEl.contains(ev.relatedTarget)) clearDropMarks();}); colEl.addEventListener('drop',ev=>{ev.preventDefault(); clearDropMarks(); const id=parseInt(ev.dataTransfer.getData('text/plain'),10); if(!id) return; const target=dropTarget(colEl,ev.clientY); const before=target?Number(target.dataset.id):null; if(before!==id) reorderTask(id,col,before);}); const items=g[col]||[]; const policy=statusPolicy(col); if(policy&&policy.color) colEl.style.borderTop='4px solid '+policy.color; colEl.appendChild(columnHeading(col,items.length)); if(!items.length){colEl.appendChild(createElem('div','empty', 'No tasks'));} else {items.forEach(t=>colEl.appendChild(card(t)));} boardEl.appendChild(colEl);}); renderSettings();}",
+    "function columnEl(status){return Array.from(boardEl.children).find(c=>c.dataset.status===status)||null;}",
+    "function refreshColumn(colEl){const count=colEl.querySelectorAll('.card').length; colEl.replaceChild(columnHeading(colEl.dataset.status,count),colEl.querySelector('h2')); const empty=colEl.querySelector('.empty'); if(count&&empty) empty.remove(); if(!count&&!empty) colEl.appendChild(createElem('div','empty','No tasks'));}",
+    "function findCard(id){return boardEl.querySelector('.card[data-id=\"'+id+'\"]');}",
+    "function placeCard(t){const colEl=columnEl(t.status||'To Do'); if(!colEl){render(); return;} const old=findCard(t.id); const el=card(t); if(old&&old.parentElement===colEl){old.replaceWith(el); return;} const from=old&&old.parentElement; if(old) old.remove(); const i=tasks.findIndex(x=>x.id===t.id); const next=i<0?null:tasks.slice(i+1).map(x=>findCard(x.id)).find(c=>c&&c.parentElement===colEl); if(next) colEl.insertBefore(el,next); else colEl.appendChild(el); if(from) refreshColumn(from); refreshColumn(colEl);}",
+    "function removeCard(id){const old=findCard(id); if(!old) return; const from=old.parentElement; old.remove(); refreshColumn(from);}",
     "function renderSettings(){if(!controlsEl) return; if(newTaskBtn) newTaskBtn.onclick=showCreate; if(autorunCheckbox){autorunCheckbox.checked=!!settings.autorunEnabled; autorunCheckbox.onchange=()=>updateSettings({autorunEnabled:autorunCheckbox.checked});}}",
-    "function card(t){const cardEl=createElem('div','card sev-'+t.severity); cardEl.setAttribute('draggable','true'); cardEl.ondragstart=(ev)=>{ev.dataTransfer.setData('text/plain', String(t.id));}; cardEl.ondblclick=()=>viewTask(t.id); cardEl.appendChild(createElem('div','title', t.id+'. '+t.title)); const row=createElem('div'); row.style.marginTop='6px'; const b2=createElem('button','small','Set Severity'); b2.onclick=()=>changeSeverity(t.id); const b3=createElem('button','small','Open'); b3.onclick=()=>viewTask(t.id); row.append(b2,b3); cardEl.appendChild(row); return cardEl;}",
-    "async function fetchData(){const res=await fetch('/data'); if(!res.ok) throw new Error('Fetch failed: '+res.status); return res.json();}",
+    "function fieldType(name){const d=(meta.fields||[]).find(f=>f.name===name); return d?d.type:'text';}",
+    "function fieldChips(t){const entries=Object.entries(t.fields||{}); if(!entries.length) return null; const wrap=createElem('div','chips'); entries.forEach(([k,v])=>{if(k==='Depends') return; if(fieldType(k)==='list'){String(v).split(',').map(x=>x.trim()).filter(Boolean).forEach(item=>wrap.appendChild(createElem('span','chip',item)));} else {wrap.appendChild(createElem('span','chip',k+': '+v));}}); return wrap;}",
+    "function renderFieldInputs(container,values){container.innerHTML=''; const names=(meta.fields||[]).map(f=>f.name); Object.keys(values||{}).forEach(k=>{if(!names.includes(k)) names.push(k);}); container.parentElement.style.display=names.length?'flex':'none'; names.forEach(name=>{const row=createElem('label','field-input'); row.appendChild(createElem('span','',name)); const type=fieldType(name); const input=document.createElement('input'); input.type=type==='date'?'date':(type==='number'?'number':'text'); if(type==='list') input.placeholder='comma, separated'; input.dataset.field=name; input.value=(values&&values[name])||''; row.appendChild(input); container.appendChild(row);});}",
+    "function collectFieldInputs(container){const out={}; container.querySelectorAll('input[data-field]').forEach(input=>{out[input.dataset.field]=input.value.trim()?input.value:null;}); return out;}",
+    "function subtaskProgress(t){const items=t.subtasks||[]; if(!items.length) return null; const done=items.filter(s=>s.done).length; const wrap=createElem('div','progress'); const bar=createElem('div','progress-bar'); const fill=createElem('div','progress-fill'); fill.style.width=Math.round(done/items.length*100)+'%'; bar.appendChild(fill); wrap.append(bar,createElem('span','progress-label',done+'/'+items.length)); return wrap;}",
+    "function renderSubtasks(t){const list=document.getElementById('view-subtasks'); list.innerHTML=''; const items=t.subtasks||[]; list.parentElement.style.display=items.length?'flex':'none'; items.forEach(st=>{const row=createElem('label','subtask'); const box=document.createElement('input'); box.type='checkbox'; box.checked=st.done; box.onchange=()=>toggleSubtask(t.id,st.index,box.checked); row.append(box,createElem('span',st.done?'done':'',st.text)); list.appendChild(row);});}",
+    "async function postJson(url,payload){const headers={'Content-Type':'application/json'}; if(revision) headers['If-Match']='\"'+revision+'\"'; const res=await fetch(url,{method:'POST',headers,body:JSON.stringify(payload)}); const data=await res.json().catch(()=>({})); if(res.ok&&data.revision) revision=data.revision; if(res.status===409){if(data.tasks) applyData(data); alert('TASKS.md changed in the meantime, so nothing was saved. The board has been reloaded; please try again.');} return {ok:res.ok,status:res.status,data};}",
+    "function applyData(data){meta=data.meta||{}; tasks=data.tasks||[]; hidden=data.hidden||{}; revision=data.revision||''; if(data.eventId) lastEvent=data.eventId; if(data.undo) setUndoState(data.undo); render();}",
+    "let undoState={undo:[],redo:[]}; let toastTimer=null;",
+    "function setUndoState(state){undoState={undo:state.undo||[],redo:state.redo||[]}; [['undo-btn',undoState.undo],['redo-btn',undoState.redo]].forEach(([id,list])=>{const b=document.getElementById(id); b.disabled=!list.length; b.title=list.length?list[0].label:'';});}",
+    "function showToast(text,action,onAction){const el=document.getElementById('toast'); document.getElementById('toast-text').textContent=text; const b=document.getElementById('toast-action'); b.textContent=action; b.onclick=()=>{el.style.display='none'; onAction();}; el.style.display='flex'; clearTimeout(toastTimer); toastTimer=setTimeout(()=>{el.style.display='none';},8000);}",
+    "async function stepUndo(direction){const res=await fetch(api('/'+direction),{method:'POST',headers:{'Content-Type':'application/json'},body:'{}'}); const data=await res.json().catch(()=>({})); if(!res.ok){if(data.tasks) applyData(data); alert((direction==='undo'?'Undo':'Redo')+' failed: '+(data.error||res.status)); return;} if(data.revision) revision=data.revision;}",
+    "function undoChanged(msg){setUndoState(msg); if(msg.action==='done') showToast(msg.label,'Undo',()=>stepUndo('undo')); else if(msg.action==='undone') showToast('Undone: '+msg.label,'Redo',()=>stepUndo('redo')); else if(msg.action==='redone') showToast('Redone: '+msg.label,'Undo',()=>stepUndo('undo')); if(document.getElementById('trash-modal').style.display==='flex') loadTrash(); if(document.getElementById('archive-modal').style.display==='flex') loadArchive();}",
+    "async function toggleSubtask(id,index,done){const r=await postJson(api('/subtask'),{id,index,done}); if(r.ok) return; if(r.status!==409) alert('Checklist update failed: '+(r.data.error||r.status)); await load(); const t=tasks.find(x=>x.id===id); if(t) refreshOpenTask(t);}",
+    "function refreshOpenTask(t){if(currentId!==t.id||document.getElementById('modal').style.display!=='flex'||!editorOriginal) return; renderSubtasks(t); const now=editorState(); if(now.title===editorOriginal.title) document.getElementById('view-title').value=t.id+'. '+t.title; if(now.desc===editorOriginal.desc) document.getElementById('view-desc').value=t.desc||''; if(now.status===editorOriginal.status) fillSelect(document.getElementById('view-status'),statusChoices(),t.status); if(now.severity===editorOriginal.severity) fillSelect(document.getElementById('view-severity'),severityChoices(),t.severity); if(now.fields===editorOriginal.fields) renderFieldInputs(document.getElementById('view-fields'),t.fields||{}); const fresh=editorState(); Object.keys(now).forEach(k=>{if(now[k]===editorOriginal[k]) editorOriginal[k]=fresh[k];}); if(descMode==='preview') renderDescPreview(); document.getElementById('archive-btn').style.display=isDoneStatus(t.status)?'':'none';}",
+    "function card(t){const cardEl=createElem('div','card'); const color=severityColor(t.severity); if(color) cardEl.style.borderLeftColor=color; cardEl.dataset.id=t.id; cardEl.setAttribute('draggable','true'); cardEl.ondragstart=(ev)=>{dragging=true; ev.dataTransfer.setData('text/plain', String(t.id));}; cardEl.ondragend=()=>{dragging=false; clearDropMarks(); flushEvents();}; cardEl.ondblclick=()=>viewTask(t.id); cardEl.appendChild(createElem('div','title', t.id+'. '+t.title)); const chips=fieldChips(t); if(chips) cardEl.appendChild(chips); if(t.desc&&t.desc.trim()){const desc=renderMarkdown(t.desc); desc.classList.add('desc','card-desc'); cardEl.appendChild(desc);} if(t.blockedBy&&t.blockedBy.length){cardEl.appendChild(createElem('div','blocked','Blocked by '+t.blockedBy.map(d=>'#'+d).join(', ')));} else if(t.depends&&t.depends.length){cardEl.appendChild(createElem('div','meta','Depends on '+t.depends.map(d=>'#'+d).join(', ')));} if(t.unknownDeps&&t.unknownDeps.length){cardEl.appendChild(createElem('div','blocked','Unknown dependency '+t.unknownDeps.map(d=>'#'+d).join(', ')));} const progress=subtaskProgress(t); if(progress) cardEl.appendChild(progress); const run=runs[t.id]; if(run&&(run.state==='running'||run.state==='queued')){cardEl.appendChild(createElem('span','badge '+run.state, run.state==='running'?'running (pid '+run.pid+')':'queued')); if(run.state==='running'&&run.workspace){const st=gitStatus[t.id]; const changed=st&&st.changed?' \u00b7 '+st.changed.length+' uncommitted':''; const b=createElem('span','badge branch',run.workspace.branch+changed); b.title=(run.workspace.worktree?'Worktree '+run.workspace.worktree:'Working tree')+(st&&st.changed&&st.changed.length?'\\n'+st.changed.join('\\n'):''); cardEl.appendChild(b);}} else if(run&&run.state==='failed'){cardEl.appendChild(createElem('span','badge failed','failed'+(run.exitCode!=null?' (exit '+run.exitCode+')':'')));} const row=createElem('div'); row.style.marginTop='6px'; const b2=createElem('select','small'); b2.title='Severity'; fillSelect(b2,severityChoices(),t.severity); b2.onchange=()=>updateTask(t.id,{severity:b2.value}); const b3=createElem('button','small','Open'); b3.onclick=()=>viewTask(t.id); row.append(b2,b3); if(run&&(run.state==='running'||run.state==='queued')){const b4=createElem('button','small','Cancel run'); b4.onclick=()=>runAction(t.id,'cancel'); row.appendChild(b4);} else if(run&&(run.state==='failed'||run.state==='cancelled')){const b4=createElem('button','small','Retry run'); b4.onclick=()=>runAction(t.id,'retry'); row.appendChild(b4);} cardEl.appendChild(row); return cardEl;}",
+    "async function fetchData(){const res=await fetch(api('/data')+(filter?'?q='+encodeURIComponent(filter):'')); if(!res.ok){const err=await res.json().catch(()=>({})); throw new Error(err.error||('Fetch failed: '+res.status));} return res.json();}",
+    "async function fetchRuns(){const res=await fetch(api('/runs')); if(!res.ok) throw new Error('Runs fetch failed: '+res.status); const data=await res.json(); const byTask={}; (data.runs||[]).forEach(r=>{byTask[r.taskId]=r;}); return byTask;}",
+    "async function runAction(id,action){const res=await fetch(api('/runs/'+id+'/'+action),{method:'POST',headers:{'Content-Type':'application/json'},body:'{}'}); if(!res.ok){const err=await res.json().catch(()=>({})); alert('Run '+action+' failed: '+(err.error||res.status));}}",
     "async function fetchSettings(){const res=await fetch('/settings'); if(!res.ok) throw new Error('Settings fetch failed: '+res.status); settings=await res.json(); renderSettings();}",
     "async function updateSettings(payload){const res=await fetch('/settings',{method:'POST',headers:{'Content-Type':'application/json'},body:JSON.stringify(payload)}); if(!res.ok){console.error('settings update failed',res.status); return;} settings=await res.json(); renderSettings();}",
-    "async function updateTask(id,payload){await fetch('/update',{method:'POST',headers:{'Content-Type':'application/json'},body:JSON.stringify(Object.assign({id},payload))}); await load();}",
-    "async function changeSeverity(id){const choices=(meta.severities&&meta.severities.length)?meta.severities:['CRITICAL','HIGH','MEDIUM','LOW']; const v=prompt('Set severity for #'+id+' ('+choices.join(', ')+'):', choices[0]); if(!v) return; await updateTask(id,{severity:v});}",
-    "function showCreate(){const modal=document.getElementById('create-modal'); if(!modal) return; const titleInput=document.getElementById('create-title'); const descInput=document.getElementById('create-desc'); const sevSelect=document.getElementById('create-severity'); const choices=(meta.severities&&meta.severities.length)?meta.severities:['CRITICAL','HIGH','MEDIUM','LOW']; const preferred=choices.find(c=>String(c).toLowerCase()==='medium')||choices[0]; sevSelect.innerHTML=''; choices.forEach((c)=>{const opt=document.createElement('option'); opt.value=c; opt.textContent=c; if(c===preferred) opt.selected=true; sevSelect.appendChild(opt);}); titleInput.value=nextId + '. '; descInput.value=''; modal.style.display='flex'; titleInput.focus(); titleInput.setSelectionRange(titleInput.value.length,titleInput.value.length);} ",
+    "function dropTarget(colEl,y){return Array.from(colEl.querySelectorAll('.card')).find(c=>{const r=c.getBoundingClientRect(); return y<r.top+r.height/2;})||null;}",
+    "function clearDropMarks(){boardEl.querySelectorAll('.drop-before,.drop-end').forEach(el=>el.classList.remove('drop-before','drop-end'));}",
+    "async function reorderTask(id,status,before){const r=await postJson(api('/reorder'),{id,status,before}); if(!r.ok){if(r.status!==409) alert('Move failed: '+(r.data.error||r.status)); await load(); return false;} if(r.data.warning) alert('Warning: '+r.data.warning); return true;}",
+    "async function updateTask(id,payload){const r=await postJson(api('/update'),Object.assign({id},payload)); if(!r.ok){if(r.status!==409) alert('Update failed: '+(r.data.error||r.status)); await load(); return false;} if(r.data.warning) alert('Warning: '+r.data.warning); return true;}",
+    "function severityChoices(){return (meta.severities&&meta.severities.length)?meta.severities:['CRITICAL','HIGH','MEDIUM','LOW'];}",
+    "function statusChoices(){const declared=(meta.statuses&&meta.statuses.length)?meta.statuses:['Backlog','To Do','In Progress','Blocked','Done']; return [...declared,...tasks.map(t=>t.status).filter((s,i,all)=>s&&!declared.includes(s)&&all.indexOf(s)===i)];}",
+    "function fillSelect(select,choices,value){select.innerHTML=''; const list=choices.includes(value)||!value?choices:[...choices,value]; list.forEach(c=>{const o=createElem('option','',c); o.value=c; select.appendChild(o);}); select.value=value;}",
+    "function mdLink(label,href){if(!/^(https?:|mailto:)/i.test(href)) return document.createTextNode(label); const a=createElem('a','',label); a.href=href; a.target='_blank'; a.rel='noopener noreferrer'; a.onclick=(ev)=>ev.stopPropagation(); return a;}",
+    "function mdInline(text){const frag=document.createDocumentFragment(); const re=/(`+)([^`]+?)\\1|\\*\\*([^*]+)\\*\\*|\\[([^\\]]+)\\]\\(([^)\\s]+)\\)|(https?:\\/\\/[^\\s<>()]*[^\\s<>().,;:!?'])|\\*([^*\\s][^*]*)\\*|\\b_([^_\\s][^_]*)_\\b/g; let last=0; let m; while((m=re.exec(text))){if(m.index>last) frag.appendChild(document.createTextNode(text.slice(last,m.index))); if(m[2]!==undefined) frag.appendChild(createElem('code','',m[2])); else if(m[3]!==undefined) frag.appendChild(createElem('strong','',m[3])); else if(m[4]!==undefined) frag.appendChild(mdLink(m[4],m[5])); else if(m[6]!==undefined) frag.appendChild(mdLink(m[6],m[6])); else frag.appendChild(createElem('em','',m[7]!==undefined?m[7]:m[8])); last=re.lastIndex;} if(last<text.length) frag.appendChild(document.createTextNode(text.slice(last))); return frag;}",
+    "function renderMarkdown(text){const root=createElem('div','markdown'); const lines=String(text||'').replace(/\\r\\n/g,'\\n').split('\\n'); let para=null; let list=null; for(let i=0;i<lines.length;i++){const line=lines[i]; const fence=line.match(/^\\s*(`{3,}|~{3,})/); if(fence){const code=[]; i++; while(i<lines.length&&!lines[i].trim().startsWith(fence[1])){code.push(lines[i]); i++;} const pre=createElem('pre'); pre.appendChild(createElem('code','',code.join('\\n'))); root.appendChild(pre); para=null; list=null; continue;} if(!line.trim()){para=null; list=null; continue;} const heading=line.match(/^\\s*(#{1,6})\\s+(.*)$/); if(heading){const h=createElem('h'+Math.min(6,heading[1].length+3)); h.appendChild(mdInline(heading[2])); root.appendChild(h); para=null; list=null; continue;} const item=line.match(/^(\\s*)([-*+]|\\d+[.)])\\s+(.*)$/); if(item){const tag=/\\d/.test(item[2])?'OL':'UL'; if(!list||list.tagName!==tag){list=createElem(tag.toLowerCase()); root.appendChild(list);} const li=createElem('li'); if(item[1].length>=2) li.style.marginLeft=(Math.floor(item[1].length/2)*14)+'px'; const box=item[3].match(/^\\[([ xX])\\]\\s+(.*)$/); if(box){const cb=createElem('input'); cb.type='checkbox'; cb.disabled=true; cb.checked=box[1]!==' '; li.className='task-item'; li.append(cb,' ',mdInline(box[2]));} else li.appendChild(mdInline(item[3])); list.appendChild(li); para=null; continue;} if(list&&/^\\s+\\S/.test(line)){list.lastChild.append(document.createElement('br'),mdInline(line.trim())); continue;} list=null; if(!para){para=createElem('p'); root.appendChild(para);} else para.appendChild(document.createElement('br')); para.appendChild(mdInline(line.trim()));} return root;}",
+    "function showCreate(){const modal=document.getElementById('create-modal'); if(!modal) return; const titleInput=document.getElementById('create-title'); const descInput=document.getElementById('create-desc'); const sevSelect=document.getElementById('create-severity'); const choices=severityChoices(); const preferred=choices.find(c=>String(c).toLowerCase()==='medium')||choices[0]; sevSelect.innerHTML=''; choices.forEach((c)=>{const opt=document.createElement('option'); opt.value=c; opt.textContent=c; if(c===preferred) opt.selected=true; sevSelect.appendChild(opt);}); titleInput.value=nextId + '. '; descInput.value=''; renderFieldInputs(document.getElementById('create-fields'),{}); modal.style.display='flex'; titleInput.focus(); titleInput.setSelectionRange(titleInput.value.length,titleInput.value.length);} ",
     "function closeCreate(){const modal=document.getElementById('create-modal'); if(modal) modal.style.display='none';}",
-    "async function submitCreate(){const title=document.getElementById('create-title').value; const severity=document.getElementById('create-severity').value; const desc=document.getElementById('create-desc').value; const res=await fetch('/create',{method:'POST',headers:{'Content-Type':'application/json'},body:JSON.stringify({status:'Backlog', title, severity, desc})}); if(!res.ok){alert('Create failed: '+res.status); return;} closeCreate(); await load();}",
-    "async function createTask(payload){const res=await fetch('/create',{method:'POST',headers:{'Content-Type':'application/json'},body:JSON.stringify(Object.assign({status:'Backlog'},payload))}); if(!res.ok){alert('Create failed: '+res.status); return;} await load();}",
-    "async function load(){console.log('[client] load start'); statusEl.textContent='Refreshing...'; try{const data=await fetchData(); meta=data.meta||{}; tasks=data.tasks||[]; console.log('[client] tasks loaded',tasks.length,tasks); render(); statusEl.textContent='Tasks: '+tasks.length+' | Last update: '+new Date().toLocaleTimeString();}catch(e){statusEl.textContent='Error: '+e.message; console.error(e);}}",
+    "async function submitCreate(){const title=document.getElementById('create-title').value; const severity=document.getElementById('create-severity').value; const desc=document.getElementById('create-desc').value; const fields=collectFieldInputs(document.getElementById('create-fields')); Object.keys(fields).forEach(k=>{if(fields[k]===null) delete fields[k];}); const r=await postJson(api('/create'),{status:backlogStatus(), title, severity, desc, fields}); if(!r.ok){if(r.status!==409) alert('Create failed: '+(r.data.error||r.status)); return;} closeCreate();}",
+    "async function createTask(payload){const r=await postJson(api('/create'),Object.assign({status:backlogStatus()},payload)); if(!r.ok){if(r.status!==409) alert('Create failed: '+(r.data.error||r.status));}}",
+    "function showUpdated(){const hiddenCount=Object.values(hidden).reduce((a,b)=>a+b,0); statusEl.textContent='Tasks: '+tasks.length+(filter?' of '+(tasks.length+hiddenCount):'')+' | Last update: '+new Date().toLocaleTimeString();}",
+    "async function load(){console.log('[client] load start'); statusEl.textContent='Refreshing...'; try{const [data,runData]=await Promise.all([fetchData(),fetchRuns()]); runs=runData; applyData(data); console.log('[client] tasks loaded',tasks.length,tasks); showUpdated();}catch(e){statusEl.textContent='Error: '+e.message; console.error(e);}}",
+    "function applyEvent(msg){if(msg.revision) revision=msg.revision; if(filter&&msg.type.startsWith('task.')){scheduleReload(); return;} if(msg.type==='task.created'||msg.type==='task.updated'){const i=tasks.findIndex(x=>x.id===msg.task.id); if(i>=0) tasks[i]=msg.task; else tasks.push(msg.task); nextId=Math.max(nextId,msg.task.id+1); placeCard(msg.task); refreshOpenTask(msg.task);} else if(msg.type==='task.deleted'){tasks=tasks.filter(x=>x.id!==msg.taskId); removeCard(msg.taskId);} else if(msg.type==='board.reordered'){const pos=new Map(msg.order.map((id,i)=>[id,i])); const at=id=>pos.has(id)?pos.get(id):Infinity; tasks.sort((a,b)=>at(a.id)-at(b.id)); render();} else if(msg.type==='board.updated'){if(JSON.stringify(msg.meta||{})!==JSON.stringify(meta)){meta=msg.meta||{}; render();}} else if(msg.type.startsWith('run.')){runs[msg.run.taskId]=msg.run; if(msg.type==='run.started'&&msg.run.workspace) refreshGitStatus().catch((e)=>console.error(e)); const t=tasks.find(x=>x.id===msg.run.taskId); if(t) placeCard(t);} else if(msg.type==='undo.changed'){undoChanged(msg); return;} else if(msg.type==='resync'){load(); return;} showUpdated();}",
+    "function flushEvents(){const queued=pendingEvents; pendingEvents=[]; queued.forEach(applyEvent);}",
+    "function connectEvents(){if(es) es.close(); es=new EventSource(api('/events')+'?lastEventId='+encodeURIComponent(lastEvent)); es.onmessage=(ev)=>{const msg=JSON.parse(ev.data); lastEvent=msg.id; console.log('[client] sse',msg.type); if(dragging) pendingEvents.push(msg); else applyEvent(msg);}; es.onerror=()=>{statusEl.textContent='SSE disconnected. Retrying...'; if(es.readyState===EventSource.CLOSED) setTimeout(connectEvents,3000);};}",
     "fetchSettings().catch((e)=>console.error(e));",
-    "load();",
-    "const es=new EventSource('/events'); es.onmessage=()=>{console.log('[client] sse refresh'); load();}; es.onerror=()=>{statusEl.textContent='SSE disconnected. Retrying...';};",
-    "setInterval(()=>{load();},5000);",
-    "let currentId=null;",
-    "function viewTask(id){const t=tasks.find(x=>x.id===id); if(!t) return; currentId=id; document.getElementById('modal-title').textContent='Task #'+t.id; const titleInput=document.getElementById('view-title'); const descInput=document.getElementById('view-desc'); if(titleInput) titleInput.value=t.id+'. '+t.title; if(descInput) descInput.value=t.desc||t.full||t.raw||''; document.getElementById('modal').style.display='flex'; if(titleInput){titleInput.focus(); titleInput.setSelectionRange(titleInput.value.length,titleInput.value.length);} }",
-    "function closeModal(){document.getElementById('modal').style.display='none';}",
-    "async function saveTask(){if(currentId==null) return; const titleInput=document.getElementById('view-title'); const descInput=document.getElementById('view-desc'); const payload={}; if(titleInput) payload.title=titleInput.value; if(descInput) payload.desc=descInput.value; await updateTask(currentId,payload); closeModal();}",
-    "async function deleteTaskAction(){if(currentId==null) return; if(!confirm('Delete this task?')) return; await fetch('/delete',{method:'POST',headers:{'Content-Type':'application/json'},body:JSON.stringify({id:currentId})}); closeModal(); await load();}",
-    "window.viewTask=viewTask; window.closeModal=closeModal; window.saveTask=saveTask; window.deleteTaskAction=deleteTaskAction;"
+    "async function refreshGitStatus(){const res=await fetch(api('/git/status')); if(!res.ok) return; gitStatus=(await res.json()).tasks||{}; tasks.filter(t=>runs[t.id]&&runs[t.id].workspace).forEach(placeCard);}",
+    "setInterval(()=>{if(Object.values(runs).some(r=>r.state==='running'&&r.workspace)) refreshGitStatus().catch((e)=>console.error(e));},15000);",
+    "const filterInput=document.getElementById('filter-input'); let filterTimer=null; filterInput.value=filter; filterInput.oninput=()=>{clearTimeout(filterTimer); filterTimer=setTimeout(()=>setFilter(filterInput.value),400);}; filterInput.onkeydown=(ev)=>{if(ev.key==='Enter'){clearTimeout(filterTimer); setFilter(filterInput.value);}};",
+    "window.addEventListener('hashchange',()=>{filter=readFilterHash(); filterInput.value=filter; load();});",
+    "loadBoards().catch((e)=>console.error(e)).then(load).then(connectEvents);",
+    "let currentId=null; let logStream=null; let editorOriginal=null; let descMode='write';",
+    "function editorState(){return {title:document.getElementById('view-title').value, desc:document.getElementById('view-desc').value, status:document.getElementById('view-status').value, severity:document.getElementById('view-severity').value, fields:JSON.stringify(collectFieldInputs(document.getElementById('view-fields')))};}",
+    "function editorDirty(){if(!editorOriginal) return false; const now=editorState(); return Object.keys(now).some(k=>now[k]!==editorOriginal[k]);}",
+    "function confirmDiscard(){return !editorDirty()||confirm('Discard unsaved changes to #'+currentId+'?');}",
+    "function showDescMode(mode){descMode=mode; const preview=mode==='preview'; document.getElementById('view-desc').style.display=preview?'none':''; document.getElementById('view-desc-preview').style.display=preview?'block':'none'; document.getElementById('desc-write-btn').classList.toggle('active',!preview); document.getElementById('desc-preview-btn').classList.toggle('active',preview); if(preview) renderDescPreview();}",
+    "function renderDescPreview(){const box=document.getElementById('view-desc-preview'); const text=document.getElementById('view-desc').value; box.innerHTML=''; box.appendChild(text.trim()?renderMarkdown(text):createElem('div','meta','Nothing to preview.'));}",
+    "function stepTask(delta){const order=Array.from(boardEl.querySelectorAll('.card')).map(c=>Number(c.dataset.id)); const next=order[order.indexOf(currentId)+delta]; if(next===undefined||!confirmDiscard()) return; viewTask(next);}",
+    "function viewTask(id){const t=tasks.find(x=>x.id===id); if(!t) return; currentId=id; document.getElementById('modal-title').textContent='Task #'+t.id; const titleInput=document.getElementById('view-title'); const descInput=document.getElementById('view-desc'); if(titleInput) titleInput.value=t.id+'. '+t.title; if(descInput) descInput.value=t.desc||''; fillSelect(document.getElementById('view-status'),statusChoices(),t.status); fillSelect(document.getElementById('view-severity'),severityChoices(),t.severity); renderFieldInputs(document.getElementById('view-fields'),t.fields||{}); editorOriginal=editorState(); showDescMode('write'); renderSubtasks(t); const targets=boardList.filter(b=>b.name!==currentBoard); const transferSelect=document.getElementById('transfer-board'); transferSelect.innerHTML=''; targets.forEach(b=>{const o=createElem('option','',b.name); o.value=b.name; transferSelect.appendChild(o);}); document.getElementById('transfer-controls').style.display=targets.length?'flex':'none'; document.getElementById('archive-btn').style.display=isDoneStatus(t.status)?'':'none'; showTab('details'); document.getElementById('modal').style.display='flex'; if(titleInput){titleInput.focus(); titleInput.setSelectionRange(titleInput.value.length,titleInput.value.length);} }",
+    "function closeModal(){stopLogStream(); editorOriginal=null; document.getElementById('modal').style.display='none';}",
+    "function requestCloseModal(){if(confirmDiscard()) closeModal();}",
+    "document.addEventListener('keydown',(ev)=>{const open=document.getElementById('modal').style.display==='flex'; if(ev.key==='Escape'){if(open) requestCloseModal(); else {document.querySelectorAll('.modal,.modal-form').forEach(m=>{m.style.display='none';});} return;} const typing=/^(INPUT|TEXTAREA|SELECT)$/.test(ev.target.tagName); if(!open&&!typing&&(ev.ctrlKey||ev.metaKey)&&(ev.key.toLowerCase()==='z'||ev.key==='y')){ev.preventDefault(); stepUndo(ev.key==='y'||ev.shiftKey?'redo':'undo'); return;} if(!open) return; if((ev.ctrlKey||ev.metaKey)&&(ev.key==='Enter'||ev.key==='s')){ev.preventDefault(); saveTask();} else if(ev.altKey&&(ev.key==='ArrowDown'||ev.key==='ArrowUp')){ev.preventDefault(); stepTask(ev.key==='ArrowDown'?1:-1);}});",
+    "function showTab(name){['details','logs','history','git'].forEach(n=>{document.getElementById('tab-'+n).style.display=n===name?(n==='details'?'flex':'block'):'none'; document.getElementById('tab-btn-'+n).classList.toggle('active',n===name);}); if(name==='logs') startLogStream(); else stopLogStream(); if(name==='history') loadHistory(); if(name==='git') loadCommits();}",
+    "async function loadCommits(){const list=document.getElementById('commit-list'); const branchEl=document.getElementById('git-branch'); list.innerHTML=''; branchEl.textContent=''; if(currentId==null) return; const res=await fetch(api('/git/commits')+'?task='+currentId); const data=await res.json().catch(()=>({})); if(!res.ok){list.appendChild(createElem('li','',data.error||'Could not load commits ('+res.status+')')); return;} if(!data.repository){list.appendChild(createElem('li','meta','The task file is not in a git repository.')); return;} branchEl.textContent=data.branch?'Branch: '+data.branch:'No task branch yet.'; if(!data.commits.length) list.appendChild(createElem('li','meta','No commits mention #'+currentId+' yet.')); data.commits.forEach(c=>{const li=createElem('li'); li.appendChild(createElem('div','when',new Date(c.date).toLocaleString()+' \u00b7 '+c.short+' \u00b7 '+c.author+(c.refs?' \u00b7 '+c.refs:''))); li.appendChild(createElem('div','',c.subject)); list.appendChild(li);});}",
+    "function describeChange(key,c){if(key==='desc') return 'description edited'; const label=key.replace(/^fields\\./,''); if(c.from==null) return label+' set to '+c.to; if(c.to==null) return label+' cleared (was '+c.from+')'; return label+': '+c.from+' \u2192 '+c.to;}",
+    "async function loadHistory(){const list=document.getElementById('history-list'); list.innerHTML=''; if(currentId==null) return; const res=await fetch(api('/history')+'?task='+currentId); if(!res.ok){list.appendChild(createElem('li','','Could not load history ('+res.status+')')); return;} const data=await res.json(); const entries=(data.entries||[]).slice().reverse(); if(!entries.length){list.appendChild(createElem('li','','No recorded changes yet.')); return;} entries.forEach(e=>{const li=createElem('li'); li.appendChild(createElem('div','when',new Date(e.ts).toLocaleString()+' \u00b7 '+e.source)); const what=e.type==='updated'?Object.entries(e.changes||{}).map(([k,c])=>describeChange(k,c)).join('; '):(e.type==='created'?'created in '+e.changes.status.to:e.type); li.appendChild(createElem('div','',what)); list.appendChild(li);});}",
+    "function formatDuration(ms){if(ms==null) return '\u2013'; const h=ms/3600000; if(h<1) return Math.round(ms/60000)+'m'; if(h<48) return h.toFixed(1)+'h'; return (h/24).toFixed(1)+'d';}",
+    "function metricsTable(headers,rows){const table=createElem('table','metrics'); const head=createElem('tr'); headers.forEach(h=>head.appendChild(createElem('th','',h))); table.appendChild(head); rows.forEach(r=>{const tr=createElem('tr'); r.forEach(c=>tr.appendChild(createElem('td','',String(c)))); table.appendChild(tr);}); return table;}",
+    "async function showMetrics(){const modal=document.getElementById('metrics-modal'); const body=document.getElementById('metrics-body'); body.textContent='Loading...'; modal.style.display='flex'; const res=await fetch(api('/metrics')); if(!res.ok){body.textContent='Could not load metrics ('+res.status+')'; return;} const m=await res.json(); body.innerHTML=''; body.appendChild(createElem('h4','','Lead and cycle time (median / average)')); body.appendChild(metricsTable(['Severity','Done','Lead time','Cycle time'],m.severities.map(s=>[s.severity,s.done,formatDuration(s.leadTime.median)+' / '+formatDuration(s.leadTime.avg),formatDuration(s.cycleTime.median)+' / '+formatDuration(s.cycleTime.avg)]))); const sevs=[...new Set(m.throughput.flatMap(w=>Object.keys(w.counts)))]; body.appendChild(createElem('h4','','Weekly throughput')); body.appendChild(m.throughput.length?metricsTable(['Week of',...sevs,'Total'],m.throughput.map(w=>[w.week,...sevs.map(s=>w.counts[s]||0),w.total])):createElem('div','meta','Nothing finished in the last 8 weeks.'));}",
+    "function closeMetrics(){document.getElementById('metrics-modal').style.display='none';}",
+    "function showRules(){document.getElementById('rules-json').value=JSON.stringify(settings.rules||[],null,2); const taskSel=document.getElementById('dry-task'); taskSel.innerHTML=''; tasks.forEach(t=>{const o=createElem('option','','#'+t.id+' '+t.title+' ('+t.status+')'); o.value=t.id; taskSel.appendChild(o);}); const statusSel=document.getElementById('dry-status'); statusSel.innerHTML=''; (meta.statuses||[]).forEach(s=>{const o=createElem('option','',s); o.value=s; statusSel.appendChild(o);}); document.getElementById('dry-results').innerHTML=''; document.getElementById('rules-modal').style.display='flex';}",
+    "function closeRules(){document.getElementById('rules-modal').style.display='none';}",
+    "function isDoneStatus(status){const policy=statusPolicy(status); if(policy&&policy.role) return policy.role==='done'; return !Object.values(meta.statusPolicies||{}).some(p=>p.role==='done')&&String(status).trim().toLowerCase()==='done';}",
+    "async function showArchive(){document.getElementById('archive-days').value=settings.archiveAfterDays||0; document.getElementById('archive-modal').style.display='flex'; await loadArchive();}",
+    "function closeArchive(){document.getElementById('archive-modal').style.display='none';}",
+    "async function loadArchive(){const list=document.getElementById('archive-list'); list.innerHTML=''; const res=await fetch(api('/archive')+(filter?'?q='+encodeURIComponent(filter):'')); const data=await res.json().catch(()=>({})); if(!res.ok){list.appendChild(createElem('li','',data.error||'Could not load the archive ('+res.status+')')); return;} document.getElementById('archive-file').textContent=data.file+' \u00b7 '+(filter?data.tasks.length+' of '+data.total+' match the filter':data.total+' tasks'); if(!data.tasks.length) list.appendChild(createElem('li','meta','Nothing archived yet.')); data.tasks.slice().reverse().forEach(t=>{const li=createElem('li'); li.appendChild(createElem('div','when','archived '+(t.fields.Archived||'?')+' \u00b7 '+t.severity+' \u00b7 '+t.status)); li.appendChild(createElem('div','',t.id+'. '+t.title)); const b=createElem('button','small','Restore'); b.onclick=()=>restoreTaskAction(t.id); li.appendChild(b); list.appendChild(li);});}",
+    "async function restoreTaskAction(id){const r=await postJson(api('/restore'),{id}); if(!r.ok){if(r.status!==409) alert('Restore failed: '+(r.data.error||r.status)); return;} loadArchive();}",
+    "async function archiveDone(){if(!confirm('Move every done task to the archive?')) return; const r=await postJson(api('/archive'),{done:true}); if(!r.ok){if(r.status!==409) alert('Archive failed: '+(r.data.error||r.status)); return;} loadArchive();}",
+    "async function showTrash(){document.getElementById('trash-modal').style.display='flex'; await loadTrash();}",
+    "function closeTrash(){document.getElementById('trash-modal').style.display='none';}",
+    "async function loadTrash(){const list=document.getElementById('trash-list'); list.innerHTML=''; const res=await fetch(api('/trash')+(filter?'?q='+encodeURIComponent(filter):'')); const data=await res.json().catch(()=>({})); if(!res.ok){list.appendChild(createElem('li','',data.error||'Could not load the trash ('+res.status+')')); return;} document.getElementById('trash-file').textContent=data.file+' \u00b7 '+(filter?data.tasks.length+' of '+data.total+' match the filter':data.total+' tasks'); if(!data.tasks.length) list.appendChild(createElem('li','meta','The trash is empty.')); data.tasks.slice().reverse().forEach(t=>{const li=createElem('li'); li.appendChild(createElem('div','when','deleted '+(t.fields.Deleted||'?')+' \u00b7 '+t.severity+' \u00b7 '+t.status)); li.appendChild(createElem('div','',t.id+'. '+t.title)); const b=createElem('button','small','Restore'); b.onclick=()=>undeleteTaskAction(t.id); li.appendChild(b); list.appendChild(li);});}",
+    "async function undeleteTaskAction(id){const r=await postJson(api('/trash/restore'),{id}); if(!r.ok){if(r.status!==409) alert('Restore failed: '+(r.data.error||r.status)); return;} loadTrash();}",
+    "async function emptyTrashAction(){if(!confirm('Delete everything in the trash for good?')) return; const r=await postJson(api('/trash/empty'),{}); if(!r.ok){if(r.status!==409) alert('Emptying the trash failed: '+(r.data.error||r.status)); return;} loadTrash();}",
+    "async function archiveTaskAction(){if(currentId==null) return; const r=await postJson(api('/archive'),{id:currentId}); if(!r.ok){if(r.status!==409) alert('Archive failed: '+(r.data.error||r.status)); return;} closeModal();}",
+    "function showImport(){const q=filter?'&q='+encodeURIComponent(filter):''; ['json','csv','gh-issues'].forEach(f=>{document.getElementById('export-'+f).href=api('/export?format='+f+q);}); document.getElementById('export-note').textContent=filter?'Only tasks matching the filter':''; document.getElementById('import-results').innerHTML=''; document.getElementById('import-modal').style.display='flex';}",
+    "function closeImport(){document.getElementById('import-modal').style.display='none';}",
+    "function readImportFile(input){const file=input.files[0]; if(!file) return; if(file.name.toLowerCase().endsWith('.csv')) document.getElementById('import-format').value='csv'; file.text().then(text=>{document.getElementById('import-data').value=text;});}",
+    "async function runImport(dryRun){const data=document.getElementById('import-data').value; if(!data.trim()){alert('Choose a file or paste data first'); return;} const list=document.getElementById('import-results'); list.innerHTML=''; const r=await postJson(api('/import'),{format:document.getElementById('import-format').value,data,dryRun}); if(!r.ok){list.appendChild(createElem('li','',r.data.error||'Import failed')); return;} r.data.created.forEach(c=>list.appendChild(createElem('li','',(dryRun?'Will create':'Created')+' #'+c.id+' '+c.title+' ('+c.severity+', '+c.status+')'))); r.data.skipped.forEach(x=>list.appendChild(createElem('li','meta','Skipped row '+x.row+': '+x.reason))); r.data.warnings.forEach(w=>list.appendChild(createElem('li','meta','Row '+w.row+': '+w.message))); if(!r.data.created.length) list.appendChild(createElem('li','meta','Nothing to import.')); else if(!dryRun){document.getElementById('import-data').value=''; document.getElementById('import-file').value='';}}",
+    "function readRules(){try{return JSON.parse(document.getElementById('rules-json').value||'[]');}catch(e){alert('Rules are not valid JSON: '+e.message); return null;}}",
+    "async function saveRules(){const rules=readRules(); if(!rules) return; const r=await postJson('/settings',{rules}); if(!r.ok){alert('Could not save rules: '+(r.data.error||r.status)); return;} settings=r.data; renderSettings(); closeRules();}",
+    "async function dryRunRules(){const rules=readRules(); if(!rules) return; const list=document.getElementById('dry-results'); list.innerHTML=''; const r=await postJson(api('/rules/dry-run'),{id:Number(document.getElementById('dry-task').value),to:document.getElementById('dry-status').value,rules}); if(!r.ok){list.appendChild(createElem('li','',r.data.error||'Dry run failed')); return;} if(!r.data.autorunEnabled) list.appendChild(createElem('li','meta','Auto-run is off, so nothing would actually be queued.')); r.data.results.forEach(x=>list.appendChild(createElem('li','',(x.fires?'FIRES ':x.matches?'matches (shadowed) ':'no match ')+x.name+': '+x.command.join(' ')))); if(!r.data.fired) list.appendChild(createElem('li','meta','No rule fires for this transition.'));}",
+    "function stopLogStream(){if(logStream){logStream.close(); logStream=null;}}",
+    "function describeRun(r){let s='Run #'+r.attempt+' '+r.state+(r.rule?' ('+r.rule+')':''); if(r.startedAt) s+=' | started '+new Date(r.startedAt).toLocaleTimeString(); if(r.endedAt) s+=' | ended '+new Date(r.endedAt).toLocaleTimeString(); if(r.exitCode!=null) s+=' | exit code '+r.exitCode; if(r.error) s+=' | '+r.error; return s;}",
+    "function startLogStream(){stopLogStream(); const out=document.getElementById('log-output'); const st=document.getElementById('log-status'); out.textContent=''; if(currentId==null||!runs[currentId]){st.textContent='No runs for this task yet.'; return;} st.textContent=describeRun(runs[currentId]); logStream=new EventSource(api('/runs/'+currentId+'/log')); logStream.onopen=()=>{out.textContent='';}; logStream.onmessage=(ev)=>{const msg=JSON.parse(ev.data); if(msg.type==='chunk'){const atBottom=out.scrollTop+out.clientHeight>=out.scrollHeight-4; out.textContent+=msg.text; if(atBottom) out.scrollTop=out.scrollHeight;} else if(msg.type==='state'){st.textContent=describeRun(msg.run);} else if(msg.type==='end'){st.textContent=describeRun(msg.run); stopLogStream();}}; logStream.onerror=()=>{st.textContent='Log stream disconnected. Retrying...';};}",
+    "async function saveTask(){if(currentId==null) return; const t=tasks.find(x=>x.id===currentId); const now=editorState(); if(!now.title.replace(/^\\s*\\d+\\.\\s*/,'').trim()){alert('Title cannot be empty'); return;} const payload={title:now.title, desc:now.desc, fields:collectFieldInputs(document.getElementById('view-fields'))}; if(!t||now.status!==t.status) payload.status=now.status; if(!t||now.severity!==t.severity) payload.severity=now.severity; if(await updateTask(currentId,payload)) closeModal();}",
+    "async function deleteTaskAction(){if(currentId==null) return; const r=await postJson(api('/delete'),{id:currentId}); if(!r.ok){if(r.status!==409) alert('Delete failed: '+(r.data.error||r.status)); return;} closeModal();}",
+    "window.viewTask=viewTask; window.closeModal=closeModal; window.requestCloseModal=requestCloseModal; window.showDescMode=showDescMode; window.showTab=showTab; window.showMetrics=showMetrics; window.closeMetrics=closeMetrics; window.showRules=showRules; window.closeRules=closeRules; window.saveRules=saveRules; window.dryRunRules=dryRunRules; window.saveTask=saveTask; window.deleteTaskAction=deleteTaskAction; window.transferTaskAction=transferTaskAction; window.showArchive=showArchive; window.closeArchive=closeArchive; window.archiveDone=archiveDone; window.archiveTaskAction=archiveTaskAction; window.showTrash=showTrash; window.closeTrash=closeTrash; window.emptyTrashAction=emptyTrashAction; window.stepUndo=stepUndo; window.updateSettings=updateSettings; window.showImport=showImport; window.closeImport=closeImport; window.readImportFile=readImportFile; window.runImport=runImport;"
   ].join('\n');
 }
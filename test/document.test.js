@@ -0,0 +1,211 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseDocument, updateDocument, moveInDocument, removeFromDocument } = require('../taskboard');
+
+// Round trips over task files that are easy to mangle: whatever an edit
+// doesn't touch has to come back byte for byte, in LF and CRLF files alike.
+
+const NESTED = [
+  '---',
+  'statuses: Backlog, To Do, Done',
+  '---',
+  '',
+  '# Tasks',
+  '',
+  '---',
+  '',
+  '1. Plan the layout',
+  '',
+  '    Severity: High',
+  '    Status: Backlog',
+  '',
+  '    Sections:',
+  '    - Header',
+  '      - Logo',
+  '        - SVG only',
+  '    - Footer',
+  '      1. Links',
+  '      2. Copyright',
+  '',
+  '---',
+  '',
+  '2. Write the copy',
+  '',
+  '    Severity: Medium',
+  '    Status: To Do',
+  '',
+  '    - [ ] Intro',
+  '      - [x] Outline',
+  '',
+  '---',
+  '',
+  '3. Ship it',
+  '',
+  '    Severity: Medium',
+  '    Status: Done',
+  '',
+].join('\n');
+
+const FRONTMATTER = '---\nstatuses: Backlog, To Do, Done\n---\n';
+const FENCED_ONE = [
+  '1. Add a config loader',
+  '',
+  '    Severity: High',
+  '    Status: Backlog',
+  '',
+  '    Parse the frontmatter:',
+  '',
+  '    ```yaml',
+  '    ---',
+  '    title: Home',
+  '    ---',
+  '    ```',
+].join('\n');
+const FENCED_TWO = [
+  '2. Document it',
+  '',
+  '    Severity: Medium',
+  '    Status: To Do',
+  '',
+  '    ~~~',
+  '    ---',
+  '    ~~~',
+].join('\n');
+const FENCED = `${FRONTMATTER}${FENCED_ONE}\n---\n${FENCED_TWO}\n`;
+
+// No frontmatter, no blank lines around the separators, no final newline.
+const BLOCKS = {
+  1: ['1. First', '', '    Severity: High', '    Status: Backlog', '', '    - one', '      - two'],
+  2: ['2. Second', '', '    Severity: Medium', '    Status: To Do'],
+  3: ['3. Third', '', '    Severity: Medium', '    Status: Done', '', '    Done.'],
+};
+const bare = (...ids) => ids.map((id) => BLOCKS[id].join('\n')).join('\n---\n');
+const BARE = bare(1, 2, 3);
+
+// The old layout: description first, Severity and Status below it.
+const LEGACY = [
+  '1. Legacy',
+  '',
+  'Description first',
+  '    Severity: High',
+  '    Status: Done',
+  '---',
+  '2. Current',
+  '',
+  '    Severity: Medium',
+  '    Status: Backlog',
+  '',
+].join('\n');
+
+const crlf = (text) => text.replace(/\n/g, '\r\n');
+
+function replaceOnce(text, from, to) {
+  assert.equal(text.split(from).length, 2, `expected exactly one "${from}"`);
+  return text.replace(from, to);
+}
+
+// `text` without everything from `from` up to (not including) `to`.
+function cut(text, from, to) {
+  return text.slice(0, text.indexOf(from)) + (to === undefined ? '' : text.slice(text.indexOf(to)));
+}
+
+function taskIn(doc, id) {
+  return doc.tasks.find((t) => t.id === id);
+}
+
+// Runs `edit` on the LF file and its CRLF copy and checks both against
+// `expected`, so every case below covers line endings as well.
+function check(text, edit, expected) {
+  assert.equal(edit(parseDocument(text)), expected);
+  assert.equal(edit(parseDocument(crlf(text))), crlf(expected));
+}
+
+for (const [name, text] of Object.entries({ NESTED, FENCED, BARE, LEGACY })) {
+  test(`${name}: saving a task unchanged leaves the file as it was`, () => {
+    for (const source of [text, crlf(text)]) {
+      const doc = parseDocument(source);
+      assert.ok(doc.tasks.length > 1);
+      for (const task of doc.tasks) assert.equal(updateDocument(doc, { ...task }), source);
+    }
+  });
+}
+
+test('nested lists stay in the description, indentation and all', () => {
+  const doc = parseDocument(NESTED);
+  assert.deepEqual(doc.tasks.map((t) => t.id), [1, 2, 3]);
+  assert.equal(taskIn(doc, 1).desc, 'Sections:\n- Header\n  - Logo\n    - SVG only\n- Footer\n  1. Links\n  2. Copyright');
+  assert.deepEqual(taskIn(doc, 2).subtasks.map((s) => s.done), [false, true]);
+});
+
+test('changing a status rewrites only its line', () => {
+  check(NESTED, (doc) => updateDocument(doc, { ...taskIn(doc, 1), status: 'Done' }),
+    replaceOnce(NESTED, '    Status: Backlog', '    Status: Done'));
+  check(BARE, (doc) => updateDocument(doc, { ...taskIn(doc, 2), status: 'Done' }),
+    replaceOnce(BARE, '    Status: To Do', '    Status: Done'));
+});
+
+test('editing a nested list item rewrites only that line', () => {
+  check(NESTED, (doc) => {
+    const task = taskIn(doc, 1);
+    return updateDocument(doc, { ...task, desc: task.desc.replace('SVG only', 'SVG or PNG') });
+  }, replaceOnce(NESTED, '        - SVG only', '        - SVG or PNG'));
+});
+
+test('a --- inside a code fence does not split the block', () => {
+  const doc = parseDocument(FENCED);
+  assert.deepEqual(doc.tasks.map((t) => t.id), [1, 2]);
+  assert.match(taskIn(doc, 1).desc, /```yaml\n---\ntitle: Home\n---\n```$/);
+  assert.equal(taskIn(doc, 2).desc, '~~~\n---\n~~~');
+  check(FENCED, (d) => updateDocument(d, { ...taskIn(d, 2), status: 'Done' }),
+    replaceOnce(FENCED, '    Status: To Do', '    Status: Done'));
+});
+
+test('removing a task takes its block and one separator', () => {
+  check(NESTED, (doc) => removeFromDocument(doc, 1), cut(NESTED, '1. Plan', '2. Write'));
+  check(NESTED, (doc) => removeFromDocument(doc, 2), cut(NESTED, '2. Write', '3. Ship'));
+  // The last block goes with the separator in front of it.
+  check(NESTED, (doc) => removeFromDocument(doc, 3), cut(NESTED, '\n---\n\n3. Ship'));
+  check(FENCED, (doc) => removeFromDocument(doc, 1), `${FRONTMATTER}${FENCED_TWO}\n`);
+  check(BARE, (doc) => removeFromDocument(doc, 1), bare(2, 3));
+  check(BARE, (doc) => removeFromDocument(doc, 3), bare(1, 2));
+});
+
+test('moving a task carries its lines over unchanged', () => {
+  check(BARE, (doc) => moveInDocument(doc, 3, 1), bare(3, 1, 2));
+  check(BARE, (doc) => moveInDocument(doc, 1, null), bare(2, 3, 1));
+  check(BARE, (doc) => moveInDocument(doc, 2, 1), bare(2, 1, 3));
+  check(FENCED, (doc) => moveInDocument(doc, 2, 1), `${FRONTMATTER}${FENCED_TWO}\n---\n${FENCED_ONE}\n`);
+  check(FENCED, (doc) => moveInDocument(doc, 1, null), `${FRONTMATTER}${FENCED_TWO}\n---\n${FENCED_ONE}\n`);
+});
+
+test('moving a task keeps the text around the other blocks', () => {
+  for (const source of [NESTED, crlf(NESTED)]) {
+    const doc = parseDocument(source);
+    const moved = parseDocument(moveInDocument(doc, 3, 1));
+    assert.deepEqual(moved.tasks.map((t) => t.id), [3, 1, 2]);
+    const block = (d, id) => {
+      const entry = d.entries.find((e) => e.task.id === id);
+      return d.lines.slice(entry.titleIndex, entry.contentEnd);
+    };
+    for (const id of [1, 2, 3]) assert.deepEqual(block(moved, id), block(doc, id));
+    assert.deepEqual(moved.lines.slice(0, 7), doc.lines.slice(0, 7));
+    assert.equal(moved.eol, doc.eol);
+  }
+});
+
+test('an old layout gets new fields below its Severity and Status', () => {
+  const edit = (doc) => updateDocument(doc, { ...taskIn(doc, 1), fields: { Tags: 'a' } });
+  check(LEGACY, edit, replaceOnce(LEGACY, '    Status: Done\n', '    Status: Done\n    Tags: a\n'));
+  const task = taskIn(parseDocument(edit(parseDocument(LEGACY))), 1);
+  assert.deepEqual(task.fields, { Tags: 'a' });
+  assert.equal(task.desc, 'Description first');
+});
+
+test('a description that looks like a field stays one in an old layout', () => {
+  const edit = (doc) => updateDocument(doc, { ...taskIn(doc, 1), desc: 'Note: hello' });
+  check(LEGACY, edit, replaceOnce(LEGACY, 'Description first\n', 'Note: hello\n\n'));
+  const task = taskIn(parseDocument(edit(parseDocument(LEGACY))), 1);
+  assert.deepEqual(task.fields, {});
+  assert.equal(task.desc, 'Note: hello');
+  assert.equal(task.status, 'Done');
+});